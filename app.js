@@ -1,189 +1,2144 @@
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
+const {
+  hashPassword,
+  verifyPassword,
+  randomToken,
+  hashToken,
+  signValue,
+  unsignValue,
+  parseCookies,
+  serializeCookie,
+} = require('./lib/auth');
+const { diffWords } = require('./lib/diff');
+const { escapeHtml } = require('./lib/markdown');
+const { POST_LIMITS, POST_STATUSES, normalizeTag, normalizeTags, validatePost } = require('./public/js/schema');
+const { sendProblem, sendValidationProblem } = require('./lib/problem');
+const logger = require('./lib/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createRegistry } = require('./lib/metrics');
+const { configureConnection } = require('./lib/db');
+const { migrateUp, runEach } = require('./lib/migrate');
+const pages = require('./lib/pages');
+const feeds = require('./lib/feeds');
+const { serveHashedAssets } = require('./lib/assets');
+const { jsonArchiveWriter, markdownZipWriter, readImport } = require('./lib/archive');
+const { createMemoryRateLimitStore, createSqliteRateLimitStore, resolveLimits, rateLimiter } = require('./lib/rate-limit');
+const {
+  BACKUP_DIR,
+  BACKUP_KEEP,
+  BACKUP_RETENTION_DAYS,
+  listBackups,
+  createBackup,
+  pruneBackups,
+  isMaintenance,
+} = require('./lib/backup');
+const { applyMergePatch, applyJsonPatch, isEqual } = require('./lib/patch');
+const { MEDIA_MIME_TYPES, sniffType, imageSize, sha256 } = require('./lib/media');
+const {
+  POST_SORTS,
+  createSqlitePostRepository,
+  visibilityFilter,
+  isVisible,
+  canModifyPost,
+} = require('./lib/repositories');
 
 const app = express();
 const PORT = process.env.PORT || 1936;
+// Absolute base for canonical links and the sitemap; defaults to the request host
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
 
-const DB_DIR = path.join(__dirname, 'data');
+// DATA_DIR moves the database and uploads (lib/backup.js and cron.js read it too)
+const DB_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const DB_PATH = path.join(DB_DIR, 'blog.db');
+const UPLOAD_DIR = path.join(DB_DIR, 'uploads');
 
+// JSON bodies up to JSON_BODY_LIMIT; the longest post (POST_MAX_CONTENT_LENGTH
+// characters) fits with room to spare. Uploads have their own limits.
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+
+// req.ip, and with it the per-IP rate limits, must see the client rather
+// than the reverse proxy in front (.htaccess proxies everything through
+// 127.0.0.1), or every visitor would share one budget. So X-Forwarded-For is
+// trusted from loopback by default; TRUST_PROXY names other proxies (any
+// value Express takes, e.g. "10.0.0.1, loopback" or a hop count), "off"
+// trusts none.
+function trustProxySetting(value = 'loopback') {
+  if (value === 'off') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY || undefined));
+
+/* Request logging and metrics */
+// Every request gets an id (X-Request-Id; a sane one sent by the client is
+// kept), one JSON access log line and a sample in the request metrics.
+// Probes and scrapes are neither logged nor counted.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const UNOBSERVED_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status.');
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency in seconds by method, route and status.'
+);
+const dbQueryDuration = metrics.histogram('db_query_duration_seconds', 'SQLite statement latency in seconds by operation.');
+
+// The route pattern, not the URL, so /api/posts/7 and /api/posts/8 share a series
+function routeLabel(req) {
+  if (req.route) return typeof req.route.path === 'string' ? `${req.baseUrl}${req.route.path}` : '(page)';
+  return req.originalUrl.startsWith('/api') ? '(unmatched)' : '(static)';
+}
+
+function observeRequest(req, res, next) {
+  const started = process.hrtime.bigint();
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  if (UNOBSERVED_PATHS.includes(req.path)) return next();
+
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // 499: the client went away before the response was complete
+    const status = res.writableFinished ? res.statusCode : 499;
+    const labels = { method: req.method, route: routeLabel(req), status };
+
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+
+    logger.log(status >= 500 ? 'error' : 'info', 'request', {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      route: labels.route,
+      status,
+      duration_ms: Math.round(seconds * 100000) / 100,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      user_id: req.user?.id,
+    });
+  });
+  next();
+}
+
+// "SELECT ..." -> 'select'; statements are grouped by kind, not by text
+function sqlOperation(sql) {
+  const keyword = /^\s*(\w+)/.exec(sql)?.[1]?.toLowerCase();
+  return ['select', 'insert', 'update', 'delete', 'begin', 'commit', 'rollback', 'savepoint', 'release'].includes(keyword)
+    ? keyword
+    : 'other';
+}
+
+app.use(observeRequest);
+// While draining, each response closes its connection behind it
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
 app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// a batch of hundreds of posts is well over the default limit
+app.use('/api/posts/batch', express.json({ limit: '5mb' }));
+// application/*+json covers the PATCH formats (merge-patch+json, json-patch+json)
+app.use(express.json({ limit: JSON_BODY_LIMIT, type: ['application/json', 'application/*+json'] }));
+// body parser failures as problem details instead of an HTML error page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return sendProblem(res, 413, `Request body is larger than ${err.limit} bytes`, { code: 'body_too_large' });
+  }
+  if (err.type === 'entity.parse.failed') return sendProblem(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  next(err);
+});
+// /css/style.<hash>.css etc. (see lib/assets.js), immutable for a year
+app.use(serveHashedAssets());
+// index: false so "/" reaches the server-rendered home page below
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+// Upload names are content hashes, so a URL never changes its bytes
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  index: false,
+  maxAge: '1y',
+  immutable: true,
+  fallthrough: false,
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+}));
+app.use('/api', refuseWritesInMaintenance);
+app.use('/api', loadSession);
+app.use('/api/posts', requirePostScopes);
+
+function ensureDbDir() {
+  if (!fs.existsSync(DB_DIR)) {
+    fs.mkdirSync(DB_DIR, { recursive: true });
+  }
+}
+
+// Opens the database and brings its schema up to date with the files in
+// migrations/ (see lib/migrate.js). A failed migration rejects, which stops
+// the server before it accepts requests.
+function initializeDatabase() {
+  return new Promise((resolve, reject) => {
+    ensureDbDir();
+
+    openDatabase((err, db) => {
+      if (err) return reject(err);
+
+      migrateUp(db, { log: (line) => logger.info(line) }, (err2) => {
+        if (err2) return reject(err2);
+
+        runEach(BOOT_STEPS, (step, next) => step(db, next), (err3) => {
+          if (err3) return reject(err3);
+          resolve(db);
+        });
+      });
+    });
+  });
+}
+
+// A connection to data/blog.db with WAL, the busy timeout and foreign keys
+// (see lib/db.js): callback(err, db). The post repository opens a second one
+// for its transactions.
+function openDatabase(callback) {
+  const db = new sqlite3.Database(DB_PATH, (err) => {
+    if (err) return callback(err);
+
+    configureConnection(db, (err2) => {
+      if (err2) return callback(err2);
+
+      db.on('profile', (sql, ms) => dbQueryDuration.observe({ operation: sqlOperation(sql) }, ms / 1000));
+      callback(null, db);
+    });
+  });
+}
+
+// Run on every start once the schema is current: (db, callback)
+const BOOT_STEPS = [
+  purgeExpiredSessions,
+  loadSessionSecret,
+  bootstrapAdminUser,
+  ensureUploadDir,
+];
+
+let db;
+// PostRepository (lib/repositories) over `db`; the post routes go through it
+let posts;
+
+// Promise-returning route handlers: a rejection becomes the usual 500 problem
+function asyncRoute(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch((err) => {
+      logger.error('Request failed', { request_id: req.id, error: err.stack });
+      sendProblem(res, 500, err.message);
+    });
+}
+
+function purgeExpiredSessions(db, callback) {
+  db.run(`DELETE FROM sessions WHERE expires_at <= datetime('now')`, callback);
+}
+
+function ensureUploadDir(db, callback) {
+  fs.mkdir(UPLOAD_DIR, { recursive: true }, (err) => callback(err));
+}
+
+/* Rate limits */
+// Token buckets per route, per IP and per signed-in user (see
+// lib/rate-limit.js). RATE_LIMITS overrides these budgets with JSON, e.g.
+// {"posts:create":{"user":{"burst":5,"per_minute":2}}}; RATE_LIMITS=off
+// turns limiting off. RATE_LIMIT_STORE=sqlite keeps the buckets in the
+// database, shared by every instance, instead of in memory.
+const DEFAULT_RATE_LIMITS = {
+  'auth:login': { ip: { burst: 10, per_minute: 5 } },
+  'posts:create': { ip: { burst: 30, per_minute: 30 }, user: { burst: 10, per_minute: 10 } },
+  'posts:update': { ip: { burst: 60, per_minute: 60 }, user: { burst: 30, per_minute: 30 } },
+  'posts:delete': { ip: { burst: 40, per_minute: 30 }, user: { burst: 20, per_minute: 15 } },
+  'posts:batch': { ip: { burst: 10, per_minute: 5 }, user: { burst: 5, per_minute: 2 } },
+  'comments:create': { ip: { burst: 5, per_minute: 2 } },
+  'media:upload': { ip: { burst: 30, per_minute: 20 }, user: { burst: 15, per_minute: 10 } },
+  'import': { ip: { burst: 5, per_minute: 1 }, user: { burst: 5, per_minute: 1 } },
+};
+
+function loadRateLimits() {
+  let overrides;
+  try {
+    overrides = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+  } catch (_) {
+    throw new Error('RATE_LIMITS must be JSON (or "off")');
+  }
+
+  const { limits, error } = resolveLimits(DEFAULT_RATE_LIMITS, overrides);
+  if (error) throw new Error(`RATE_LIMITS: ${error}`);
+  return limits;
+}
+
+const RATE_LIMITS_OFF = process.env.RATE_LIMITS === 'off';
+const rateLimits = RATE_LIMITS_OFF ? null : loadRateLimits();
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryRateLimitStore(),
+  sqlite: (db) => createSqliteRateLimitStore(db),
+};
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+if (!RATE_LIMIT_STORES[RATE_LIMIT_STORE]) {
+  throw new Error(`RATE_LIMIT_STORE must be one of ${Object.keys(RATE_LIMIT_STORES).join(', ')}`);
+}
+
+// Created once the database is open (startServer), before any request
+let rateLimitBuckets;
+const rateLimitStore = { take: (...args) => rateLimitBuckets.take(...args) };
+
+function rateLimit(name) {
+  if (RATE_LIMITS_OFF) return (req, res, next) => next();
+  return rateLimiter(name, rateLimits, rateLimitStore);
+}
+
+/* Auth */
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// HMAC key for the session cookie: SESSION_SECRET, or one generated once and
+// kept in app_settings so sessions survive restarts.
+let sessionSecret = process.env.SESSION_SECRET || null;
+
+function loadSessionSecret(db, callback) {
+  if (sessionSecret) return callback(null);
+
+  db.get(`SELECT value FROM app_settings WHERE key = 'session_secret'`, (err, row) => {
+    if (err) return callback(err);
+    if (row) {
+      sessionSecret = row.value;
+      return callback(null);
+    }
+
+    // OR IGNORE and read back: with several instances starting at once, the
+    // first one to insert decides the secret for all of them
+    db.run(`INSERT OR IGNORE INTO app_settings (key, value) VALUES ('session_secret', ?)`, [randomToken(48)], (err2) => {
+      if (err2) return callback(err2);
+      loadSessionSecret(db, callback);
+    });
+  });
+}
+
+// Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD if it does not exist yet
+function bootstrapAdminUser(db, callback) {
+  const username = String(process.env.ADMIN_USERNAME || '').trim();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return callback(null);
+
+  db.get(`SELECT id FROM users WHERE username = ?`, [username], (err, existing) => {
+    if (err || existing) return callback(err);
+
+    hashPassword(password)
+      .then((hash) => {
+        // another instance may be creating the same user right now
+        db.run(
+          `INSERT OR IGNORE INTO users (username, password_hash, role) VALUES (?, ?, 'admin')`,
+          [username, hash],
+          function (err2) {
+            if (!err2 && this.changes) logger.info('Created admin user', { username });
+            callback(err2);
+          }
+        );
+      })
+      .catch(callback);
+  });
+}
+
+// Compared against when the username is unknown, so response time does not reveal it
+const dummyPasswordHash = hashPassword(randomToken());
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+function sessionCookie(req, value, maxAge) {
+  return serializeCookie(SESSION_COOKIE, value, {
+    maxAge,
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'Lax',
+  });
+}
+
+// Sets req.user from the signed session cookie (null when not logged in).
+// A bearer token instead sets req.tokenUser/req.tokenScopes; requirePostScopes
+// turns that into req.user on the routes tokens are allowed to use.
+function loadSession(req, res, next) {
+  req.user = null;
+  req.sessionId = null;
+  req.tokenUser = null;
+  req.tokenScopes = null;
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (bearer) return loadApiToken(req, res, next, bearer[1]);
+
+  const signed = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const sessionId = signed && sessionSecret ? unsignValue(signed, sessionSecret) : null;
+  if (!sessionId) return next();
+
+  db.get(
+    `
+    SELECT u.id, u.username, u.role
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > datetime('now')
+    `,
+    [sessionId],
+    (err, user) => {
+      if (err) return sendProblem(res, 500, err.message);
+      if (user) {
+        req.user = user;
+        req.sessionId = sessionId;
+      }
+      next();
+    }
+  );
+}
+
+function loadApiToken(req, res, next, token) {
+  db.get(
+    `
+    SELECT t.id AS token_id, t.scopes, u.id, u.username, u.role
+    FROM api_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > datetime('now'))
+    `,
+    [hashToken(token)],
+    (err, row) => {
+      if (err) return sendProblem(res, 500, err.message);
+      if (!row) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return sendProblem(res, 401, 'Invalid or expired token', { code: 'invalid_token' });
+      }
+
+      const { token_id, scopes, ...user } = row;
+      req.tokenUser = user;
+      req.tokenScopes = scopes.split(' ');
+
+      // best effort; a failed timestamp update should not fail the request
+      db.run(`UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?`, [token_id], () => {});
+      next();
+    }
+  );
+}
+
+// HTTP method -> scope a token needs on /api/posts
+const POST_SCOPES_BY_METHOD = {
+  GET: 'posts:read',
+  HEAD: 'posts:read',
+  POST: 'posts:write',
+  PUT: 'posts:write',
+  PATCH: 'posts:write',
+  DELETE: 'posts:delete',
+};
+
+// Scopes a token may use for the request, any one will do. A batch takes
+// the scopes of its operations (see BATCH_SCOPES), so a token with only
+// posts:delete can delete in bulk; each operation is checked again.
+function acceptedPostScopes(req) {
+  if (req.method === 'POST' && req.path === '/batch' && Array.isArray(req.body?.operations)) {
+    const scopes = req.body.operations
+      .filter((operation) => operation && Object.hasOwn(BATCH_SCOPES, operation.op))
+      .map((operation) => BATCH_SCOPES[operation.op]);
+    if (scopes.length) return [...new Set(scopes)];
+  }
+
+  const scope = POST_SCOPES_BY_METHOD[req.method];
+  return scope ? [scope] : [];
+}
+
+function requirePostScopes(req, res, next) {
+  if (!req.tokenUser) return next();
+
+  const scopes = acceptedPostScopes(req);
+  if (!scopes.some((scope) => req.tokenScopes.includes(scope))) {
+    res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scopes.join(' ')}"`);
+    const missing = scopes.length ? scopes.join(' or ') : 'required';
+    return sendProblem(res, 403, `Token is missing the ${missing} scope`, { code: 'insufficient_scope' });
+  }
+
+  req.user = req.tokenUser;
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return sendProblem(res, 401, 'Login required', { code: 'login_required' });
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return sendProblem(res, 401, 'Login required', { code: 'login_required' });
+    if (req.user.role !== role) return sendProblem(res, 403, 'Forbidden');
+    next();
+  };
+}
+
+// Loads the target post's owner and rejects with 404/403 before a write.
+// Posts in the trash only exist for the trash routes (inTrash = true).
+function postOwnerCheck({ inTrash }) {
+  return (req, res, next) => {
+    const id = Number(req.params.id);
+
+    if (!Number.isFinite(id)) {
+      return sendProblem(res, 400, 'Invalid id');
+    }
+
+    posts
+      .findById(id)
+      .then((post) => {
+        if (!post || Boolean(post.deleted_at) !== inTrash) return sendProblem(res, 404, 'Not found');
+        if (!canModifyPost(req.user, post)) return sendProblem(res, 403, 'Forbidden');
+        next();
+      })
+      .catch((err) => sendProblem(res, 500, err.message));
+  };
+}
+
+const requirePostOwner = postOwnerCheck({ inTrash: false });
+const requireTrashedPostOwner = postOwnerCheck({ inTrash: true });
+
+app.post('/api/auth/login', rateLimit('auth:login'), (req, res) => {
+  const username = String(req.body?.username ?? '').trim();
+  const password = String(req.body?.password ?? '');
+
+  if (!username || !password) {
+    return sendProblem(res, 400, 'Username and password required');
+  }
+
+  db.get(`SELECT * FROM users WHERE username = ?`, [username], async (err, user) => {
+    if (err) return sendProblem(res, 500, err.message);
+
+    try {
+      const ok = await verifyPassword(password, user ? user.password_hash : await dummyPasswordHash);
+      if (!user || !ok) return sendProblem(res, 401, 'Invalid username or password', { code: 'invalid_credentials' });
+
+      const sessionId = randomToken();
+      db.run(
+        `INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, datetime('now', ?))`,
+        [sessionId, user.id, `+${SESSION_TTL_SECONDS} seconds`],
+        (e2) => {
+          if (e2) return sendProblem(res, 500, e2.message);
+
+          res.set('Set-Cookie', sessionCookie(req, signValue(sessionId, sessionSecret), SESSION_TTL_SECONDS));
+          res.json({ user: publicUser(user) });
+        }
+      );
+    } catch (e3) {
+      sendProblem(res, 500, e3.message);
+    }
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const done = () => {
+    res.set('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ success: true });
+  };
+
+  if (!req.sessionId) return done();
+
+  db.run(`DELETE FROM sessions WHERE id = ?`, [req.sessionId], (err) => {
+    if (err) return sendProblem(res, 500, err.message);
+    done();
+  });
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+/* API tokens (managed from a browser session, used by scripts) */
+const API_TOKEN_SCOPES = ['posts:read', 'posts:write', 'posts:delete'];
+const API_TOKEN_MAX_DAYS = 365;
+
+const API_TOKEN_COLUMNS = 'id, name, token_prefix, scopes, expires_at, last_used_at, created_at';
+
+function formatApiToken(row) {
+  return { ...row, scopes: row.scopes.split(' ') };
+}
+
+app.get('/api/tokens', requireUser, (req, res) => {
+  db.all(
+    `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE user_id = ? ORDER BY id DESC`,
+    [req.user.id],
+    (err, rows) => {
+      if (err) return sendProblem(res, 500, err.message);
+      res.json(rows.map(formatApiToken));
+    }
+  );
+});
+
+app.post('/api/tokens', requireUser, (req, res) => {
+  const name = String(req.body?.name ?? '').trim();
+  const scopes = req.body?.scopes;
+  const days = req.body?.expires_in_days;
+
+  if (!name || name.length > 100) {
+    return sendProblem(res, 400, 'name is required (max 100 characters)');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => API_TOKEN_SCOPES.includes(s))) {
+    return sendProblem(res, 400, `scopes must be a non-empty array of: ${API_TOKEN_SCOPES.join(', ')}`);
+  }
+
+  if (days != null && (!Number.isInteger(days) || days < 1 || days > API_TOKEN_MAX_DAYS)) {
+    return sendProblem(res, 400, `expires_in_days must be an integer between 1 and ${API_TOKEN_MAX_DAYS}`);
+  }
+
+  const token = `mvc_${randomToken(32)}`;
+
+  db.run(
+    `
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+    `,
+    [req.user.id, name, hashToken(token), token.slice(0, 8), [...new Set(scopes)].join(' '), days ?? null, `+${days} days`],
+    function (err) {
+      if (err) return sendProblem(res, 500, err.message);
+
+      db.get(`SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`, [this.lastID], (e2, row) => {
+        if (e2) return sendProblem(res, 500, e2.message);
+
+        // the plain token is only ever shown in this response
+        res.status(201).json({ ...formatApiToken(row), token });
+      });
+    }
+  );
+});
+
+app.delete('/api/tokens/:id', requireUser, (req, res) => {
+  const id = Number(req.params.id);
+
+  if (!Number.isFinite(id)) {
+    return sendProblem(res, 400, 'Invalid id');
+  }
+
+  db.run(`DELETE FROM api_tokens WHERE id = ? AND user_id = ?`, [id, req.user.id], function (err) {
+    if (err) return sendProblem(res, 500, err.message);
+    if (!this.changes) return sendProblem(res, 404, 'Not found');
+
+    res.json({ success: true });
+  });
+});
+
+/* Tags, formats and publishing */
+// The rules themselves are in public/js/schema.js, shared with the browser;
+// these turn a valid body into what the repository takes.
+
+// Returns the tags to store, or undefined when tags was not sent
+function parseTags(input) {
+  return input === undefined ? undefined : normalizeTags(input);
+}
+
+// Returns { status, publish_at } (undefined when status was not sent)
+function parsePublishing(body) {
+  if (body.status == null) return undefined;
+  if (body.status !== 'scheduled') return { status: body.status, publish_at: null };
+  return { status: body.status, publish_at: toSqliteDate(body.publish_at, false) };
+}
+
+/* Listing: pagination, sorting, filtering */
+const POSTS_DEFAULT_LIMIT = 20;
+const POSTS_MAX_LIMIT = 100;
+
+// query param -> [column, comparison operator]
+const POST_DATE_FILTERS = {
+  created_from: ['created_at', '>='],
+  created_to: ['created_at', '<='],
+  updated_from: ['updated_at', '>='],
+  updated_to: ['updated_at', '<='],
+};
+
+function encodeCursor(sort, order, row) {
+  const payload = { s: sort, o: order, v: row[sort], id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !Number.isFinite(payload.id)) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Accepts "YYYY-MM-DD" or any ISO 8601 timestamp and returns the
+// "YYYY-MM-DD HH:MM:SS" (UTC) form SQLite's datetime('now') stores.
+function toSqliteDate(value, endOfDay) {
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return `${str} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+
+  const date = new Date(str);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseListQuery(query) {
+  const limit = query.limit === undefined ? POSTS_DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > POSTS_MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${POSTS_MAX_LIMIT}` };
+  }
+
+  const sort = query.sort || 'created_at';
+  if (!POST_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${POST_SORTS.join(', ')}` };
+  }
+
+  const order = String(query.order || (sort === 'title' ? 'asc' : 'desc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sort || cursor.o !== order) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const filters = [];
+  for (const [param, [column, op]] of Object.entries(POST_DATE_FILTERS)) {
+    if (query[param] === undefined) continue;
+
+    const value = toSqliteDate(query[param], op === '<=');
+    if (!value) return { error: `${param} must be a valid date` };
+    filters.push({ column, op, value });
+  }
+
+  let tag = null;
+  if (query.tag !== undefined) {
+    tag = normalizeTag(query.tag);
+    if (!tag) return { error: 'tag must not be empty' };
+  }
+
+  const status = query.status === undefined ? null : String(query.status);
+  if (status !== null && !POST_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+
+  return { limit, sort, order, cursor, filters, tag, status };
+}
+
+function buildPageUrl(req, overrides) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value == null) url.searchParams.delete(key);
+    else url.searchParams.set(key, String(value));
+  });
+  return url.toString();
+}
+
+/* GET all (paginated) */
+/* Conditional GET */
+// Post reads carry validators built from the change counter that every write
+// to posts, tags and comments bumps (migration 013). While nothing has been
+// written, a client sending them back gets an empty 304 and the post queries
+// never run. The counter is read before the data, so a write in between can
+// only make the ETag older than the body, never newer.
+
+// Sets ETag / Last-Modified and answers 304 if the request already has them.
+// no-cache: browsers keep the copy but revalidate it on every use.
+function sendNotModified(req, res, { etag, lastModified }) {
+  res.set('ETag', etag);
+  res.set('Last-Modified', feeds.toDate(lastModified).toUTCString());
+  res.set('Cache-Control', 'private, no-cache');
+
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+}
+
+// What a list contains depends on who asks (drafts), so the requester is
+// part of the tag; the query string already is, via the URL
+function listValidators(changes, user) {
+  return { etag: `W/"${changes.count}-${user ? user.id : 'public'}"`, lastModified: changes.changedAt };
+}
+
+app.get('/api/posts', asyncRoute(async (req, res) => {
+  const options = parseListQuery(req.query);
+  if (options.error) return sendProblem(res, 400, options.error);
+
+  const changes = await posts.changes();
+  if (sendNotModified(req, res, listValidators(changes, req.user))) return;
+
+  const { posts: page, hasMore } = await posts.list(options, req.user);
+  const nextCursor = hasMore
+    ? encodeCursor(options.sort, options.order, page[page.length - 1])
+    : null;
+
+  const links = [`<${buildPageUrl(req, { cursor: null })}>; rel="first"`];
+  if (nextCursor) {
+    links.push(`<${buildPageUrl(req, { cursor: nextCursor })}>; rel="next"`);
+  }
+  res.set('Link', links.join(', '));
+
+  res.json({
+    posts: page,
+    pagination: {
+      limit: options.limit,
+      sort: options.sort,
+      order: options.order,
+      tag: options.tag,
+      status: options.status,
+      hasMore,
+      nextCursor,
+    },
+  });
+}));
+
+/* Tags with usage counts (?q= prefix for autocomplete) */
+app.get('/api/tags', asyncRoute(async (req, res) => {
+  const prefix = req.query.q === undefined ? '' : normalizeTag(req.query.q);
+  res.json(await posts.tagCounts({ prefix }, req.user));
+}));
+
+/* Search */
+// Queries the SQLite FTS5 index directly; it is not part of PostRepository
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+// snippet()/highlight() markers; private-use characters so the text can be
+// HTML-escaped first and the markers swapped for <mark> afterwards.
+const HL_OPEN = '\uE000';
+const HL_CLOSE = '\uE001';
+
+function highlightToHtml(text) {
+  return escapeHtml(text)
+    .split(HL_OPEN).join('<mark>')
+    .split(HL_CLOSE).join('</mark>');
+}
+
+// Turns user input into a safe FTS5 MATCH expression.
+//   "exact phrase"  -> phrase query
+//   word*           -> prefix query
+//   anything else   -> plain term (all terms are ANDed)
+function buildFtsQuery(input) {
+  const parts = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = re.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].replace(/[^\p{L}\p{N}\s]+/gu, ' ').trim();
+      if (phrase) parts.push(`"${phrase}"`);
+      continue;
+    }
+
+    const isPrefix = match[2].endsWith('*');
+    const term = match[2].replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (term) parts.push(`"${term}"${isPrefix ? '*' : ''}`);
+  }
+
+  return parts.join(' ');
+}
+
+app.get('/api/search', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+  if (!q) return sendProblem(res, 400, 'Query parameter q is required');
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return sendProblem(res, 400, `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}`);
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendProblem(res, 400, 'offset must be a non-negative integer');
+  }
+
+  const match = buildFtsQuery(q);
+  if (!match) return res.json({ query: q, results: [] });
+
+  const visibility = visibilityFilter(req.user, 'p');
+
+  db.all(
+    `
+    SELECT p.id, p.title, p.author_id, p.status, p.created_at, p.updated_at,
+           bm25(posts_fts, 10.0, 1.0) AS rank,
+           highlight(posts_fts, 0, ?, ?) AS title_hl,
+           snippet(posts_fts, 1, ?, ?, '…', 16) AS snippet_hl
+    FROM posts_fts
+    JOIN posts p ON p.id = posts_fts.rowid
+    WHERE posts_fts MATCH ? AND ${visibility.sql}
+    ORDER BY rank
+    LIMIT ? OFFSET ?
+    `,
+    [HL_OPEN, HL_CLOSE, HL_OPEN, HL_CLOSE, match, ...visibility.params, limit, offset],
+    (err, rows) => {
+      if (err) return sendProblem(res, 500, err.message);
+
+      res.json({
+        query: q,
+        results: rows.map(({ title_hl, snippet_hl, ...row }) => ({
+          ...row,
+          title_html: highlightToHtml(title_hl),
+          snippet_html: highlightToHtml(snippet_hl),
+        })),
+      });
+    }
+  );
+});
+
+/* Optimistic concurrency */
+// A post's ETag is "<version>-<change count>". The version, which every edit
+// of the post bumps, is what If-Match compares: PUT and DELETE naming another
+// version get 412 plus the current copy, so the client can resolve the
+// conflict instead of overwriting someone's edit. The change count keeps
+// cached GETs honest when only the comments changed.
+function postEtag(post, changes) {
+  return `"${post.version}-${changes.count}"`;
+}
+
+// "7-123" and plain "7" (what older clients send) both name version 7
+function etagVersion(tag) {
+  const match = /^"(\d+)(?:-\d+)?"$/.exec(tag.trim());
+  return match ? Number(match[1]) : null;
+}
+
+async function sendPost(res, post, status = 200) {
+  res.set('ETag', postEtag(post, await posts.changes()));
+  res.status(status).json(post);
+}
+
+// Requests without If-Match (older clients, scripts) are not checked
+function preconditionFailed(req, post) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return false;
+
+  return !header.split(',').some((tag) => etagVersion(tag) === post.version);
+}
+
+async function sendConflict(res, current) {
+  res.set('ETag', postEtag(current, await posts.changes()));
+  sendProblem(res, 412, 'This post was changed by someone else in the meantime', { code: 'edit_conflict', current });
+}
+
+/* GET by id */
+// Accepts the numeric id or a (current or former) slug
+app.get('/api/posts/:id', asyncRoute(async (req, res) => {
+  let id = Number(req.params.id);
+
+  if (!/^\d+$/.test(req.params.id)) {
+    const found = await posts.findBySlug(req.params.id);
+    if (!found) return sendProblem(res, 404, 'Not found');
+    id = found.id;
+  }
+
+  const changes = await posts.changes();
+  const post = await posts.findById(id);
+  if (!post || !isVisible(post, req.user)) return sendProblem(res, 404, 'Not found');
+
+  if (sendNotModified(req, res, { etag: postEtag(post, changes), lastModified: post.updated_at })) return;
+  res.json(post);
+}));
+
+/* CREATE */
+// POST_MAX_CONTENT_LENGTH raises (or lowers) the schema's content limit
+const POST_VALIDATION = {
+  limits: { ...POST_LIMITS, contentMax: Number(process.env.POST_MAX_CONTENT_LENGTH) || POST_LIMITS.contentMax },
+};
+
+// Returns { fields } for posts.create() or { errors } (also used by the batch endpoint)
+function parseNewPost(body) {
+  const errors = validatePost(body, POST_VALIDATION);
+  if (errors.length) return { errors };
+
+  // the API default stays "public immediately" for existing clients
+  const { status, publish_at } = parsePublishing(body) || { status: 'published', publish_at: null };
+
+  return {
+    fields: {
+      title: body.title.trim(),
+      content: body.content.trim(),
+      contentFormat: body.content_format ?? 'plain',
+      status,
+      publishAt: publish_at,
+      tags: parseTags(body.tags),
+    },
+  };
+}
+
+app.post('/api/posts', rateLimit('posts:create'), requireUser, asyncRoute(async (req, res) => {
+  const { fields, errors } = parseNewPost(req.body);
+  if (errors) return sendValidationProblem(res, errors);
+
+  const post = await posts.create(fields, req.user.id);
+  await sendPost(res, post, 201);
+}));
+
+/* UPDATE */
+// Returns { fields } for posts.update() or { errors } (also used by the batch endpoint)
+function parsePostUpdate(body) {
+  const errors = validatePost(body, POST_VALIDATION);
+  if (errors.length) return { errors };
+
+  return {
+    fields: {
+      title: body.title.trim(),
+      content: body.content.trim(),
+      contentFormat: body.content_format ?? undefined,
+      tags: parseTags(body.tags),
+      publishing: parsePublishing(body),
+    },
+  };
+}
+
+app.put('/api/posts/:id', rateLimit('posts:update'), requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+
+  const { fields, errors } = parsePostUpdate(req.body);
+  if (errors) return sendValidationProblem(res, errors);
+
+  // the version check and the write happen in one transaction
+  const result = await posts.transaction(async (tx) => {
+    const current = await tx.findById(id);
+    if (current && preconditionFailed(req, current)) return { conflict: current };
+
+    return { post: await tx.update(id, fields, req.user.id, null) };
+  });
+
+  if (result.conflict) return sendConflict(res, result.conflict);
+  if (!result.post) return sendProblem(res, 404, 'Not found');
+
+  await sendPost(res, result.post);
+}));
+
+/* PATCH */
+// Partial updates: a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902)
+// applied to the editable fields below. Only the fields the patch actually
+// changes are validated and written; If-Match works as for PUT.
+const PATCHABLE_FIELDS = ['title', 'content', 'content_format', 'tags', 'status', 'publish_at'];
+
+const PATCH_TYPES = {
+  'application/merge-patch+json': applyMergePatch,
+  'application/json-patch+json': applyJsonPatch,
+};
+
+function patchableFields(post) {
+  return Object.fromEntries(PATCHABLE_FIELDS.map((field) => [field, post[field] ?? null]));
+}
+
+// Returns { fields, changed } (fields as update() takes them, changed the
+// names of the fields that differ), { errors } or { error } when the patch
+// did not leave an object. A removed tags or publish_at means "none".
+function parsePatchedFields(before, after) {
+  if (!after || typeof after !== 'object' || Array.isArray(after)) {
+    return { error: 'The patched post must be an object' };
+  }
+
+  const unknown = Object.keys(after).filter((field) => !PATCHABLE_FIELDS.includes(field));
+  if (unknown.length) {
+    return { errors: unknown.map((field) => ({ field, code: 'not_allowed', message: `${field} cannot be changed` })) };
+  }
+
+  const changed = PATCHABLE_FIELDS.filter((field) => !isEqual(after[field] ?? null, before[field]));
+
+  // only what changed is checked, plus what a new status or date depends on
+  const checked = Object.fromEntries(changed.map((field) => [field, after[field] ?? null]));
+  if (changed.includes('tags')) checked.tags = after.tags ?? [];
+  if (changed.includes('status') || changed.includes('publish_at')) {
+    checked.status = after.status;
+    if (after.status === 'scheduled') checked.publish_at = after.publish_at ?? null;
+  }
+
+  const errors = validatePost(checked, { ...POST_VALIDATION, partial: true });
+  if (errors.length) return { errors };
+
+  // update() always takes the full title and content
+  const fields = { title: before.title, content: before.content };
+
+  ['title', 'content']
+    .filter((field) => changed.includes(field))
+    .forEach((field) => (fields[field] = after[field].trim()));
+
+  if (changed.includes('tags')) fields.tags = parseTags(checked.tags);
+  if (changed.includes('content_format')) fields.contentFormat = after.content_format;
+  if (checked.status !== undefined) fields.publishing = parsePublishing(checked);
+
+  return { fields, changed };
+}
+
+app.patch('/api/posts/:id', rateLimit('posts:update'), requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+  const type = req.is(Object.keys(PATCH_TYPES));
+
+  if (!type) {
+    res.set('Accept-Patch', Object.keys(PATCH_TYPES).join(', '));
+    return sendProblem(res, 415, `Send the patch as ${Object.keys(PATCH_TYPES).join(' or ')}`);
+  }
+  if (req.body === undefined) return sendProblem(res, 400, 'Patch document required');
+
+  // the patch is applied to the current row, in the same transaction as the write
+  const result = await posts.transaction(async (tx) => {
+    const current = await tx.findById(id);
+    if (!current) return { post: null };
+    if (preconditionFailed(req, current)) return { conflict: current };
+
+    const before = patchableFields(current);
+    const patched = PATCH_TYPES[type](before, req.body);
+    if (patched.failedTest) return { status: 409, code: 'patch_test_failed', error: patched.error };
+    if (patched.error) return { status: 400, code: 'invalid_patch', error: patched.error };
+
+    const { fields, changed, errors, error } = parsePatchedFields(before, patched.value);
+    if (errors) return { errors };
+    if (error) return { status: 400, code: 'invalid_patch', error };
+
+    // nothing to write: no new revision, the version stays
+    if (!changed.length) return { post: current };
+
+    return { post: await tx.update(id, fields, req.user.id, null) };
+  });
+
+  if (result.errors) return sendValidationProblem(res, result.errors);
+  if (result.error) return sendProblem(res, result.status, result.error, { code: result.code });
+  if (result.conflict) return sendConflict(res, result.conflict);
+  if (!result.post) return sendProblem(res, 404, 'Not found');
+
+  await sendPost(res, result.post);
+}));
+
+/* Revision history (editors only) */
+app.get('/api/posts/:id/revisions', requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  res.json(await posts.listRevisions(Number(req.params.id)));
+}));
+
+app.get('/api/posts/:id/revisions/:rev', requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+  const rev = Number(req.params.rev);
+
+  if (!Number.isInteger(rev)) {
+    return sendProblem(res, 400, 'Invalid revision');
+  }
+
+  const revision = await posts.findRevision(id, rev);
+  if (!revision) return sendProblem(res, 404, 'Not found');
+
+  res.json(revision);
+}));
+
+/* Word-level diff between two revisions: ?from=<rev>&to=<rev> */
+app.get('/api/posts/:id/diff', requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return sendProblem(res, 400, 'from and to must be revision numbers');
+  }
+
+  const [before, after] = await Promise.all([posts.findRevision(id, from), posts.findRevision(id, to)]);
+  if (!before || !after) return sendProblem(res, 404, 'Revision not found');
+
+  res.json({
+    from,
+    to,
+    title: diffWords(before.title, after.title),
+    content: diffWords(before.content, after.content),
+    tags: {
+      added: after.tags.filter((tag) => !before.tags.includes(tag)),
+      removed: before.tags.filter((tag) => !after.tags.includes(tag)),
+    },
+  });
+}));
+
+app.post('/api/posts/:id/revisions/:rev/restore', rateLimit('posts:update'), requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+  const rev = Number(req.params.rev);
+
+  if (!Number.isInteger(rev)) {
+    return sendProblem(res, 400, 'Invalid revision');
+  }
+
+  // read and write in one transaction so the restored text is the revision's
+  const post = await posts.transaction(async (tx) => {
+    const revision = await tx.findRevision(id, rev);
+    if (!revision) return null;
+
+    const { title, content, tags } = revision;
+    // revisions from before content_format existed keep the current format
+    const contentFormat = revision.content_format || undefined;
+
+    // restoring is itself a new revision, so it can be undone the same way
+    return tx.update(id, { title, content, contentFormat, tags }, req.user.id, rev);
+  });
+  if (!post) return sendProblem(res, 404, 'Not found');
+
+  await sendPost(res, post);
+}));
+
+/* DELETE */
+app.delete('/api/posts/:id', rateLimit('posts:delete'), requireUser, requirePostOwner, asyncRoute(async (req, res) => {
+  const id = Number(req.params.id);
+
+  const result = await posts.transaction(async (tx) => {
+    const current = await tx.findById(id);
+    if (current && preconditionFailed(req, current)) return { conflict: current };
+
+    return { trashed: await tx.trash(id) };
+  });
+
+  if (result.conflict) return sendConflict(res, result.conflict);
+  if (!result.trashed) return sendProblem(res, 404, 'Not found');
 
-function ensureDbDir() {
-  if (!fs.existsSync(DB_DIR)) {
-    fs.mkdirSync(DB_DIR, { recursive: true });
+  res.json({ success: true, trashed: true });
+}));
+
+/* Batch */
+// POST /api/posts/batch runs many creates, updates and deletes (to the trash)
+// in one transaction:
+//
+//   { "atomic": true,
+//     "operations": [
+//       { "op": "create", "data": { "title": "...", "content": "..." } },
+//       { "op": "update", "id": 7, "data": { ...as for PUT }, "version": 3 },
+//       { "op": "delete", "id": 8 } ] }
+//
+// Each operation gets a result { index, op, status, post | id | error } with
+// the status the single request would have had; a failed one also has the
+// problem code, and errors[] when its data was invalid. "version" works like
+// If-Match. atomic (the default) is all-or-nothing: the first failure rolls
+// back every operation of the batch (never other requests' writes, which
+// wait for it), the other operations report 424 and the response is a
+// problem with the failed operation's status and code. With "atomic": false
+// every operation runs in a savepoint of its own and the failed ones are
+// simply not applied.
+const MAX_BATCH_OPERATIONS = 500;
+
+// Tokens need the scope the single request would need
+const BATCH_SCOPES = { create: 'posts:write', update: 'posts:write', delete: 'posts:delete' };
+
+function batchOperationError(operation) {
+  if (!operation || !Object.hasOwn(BATCH_SCOPES, operation.op)) {
+    return `op must be one of: ${Object.keys(BATCH_SCOPES).join(', ')}`;
   }
+  if (operation.op !== 'delete' && (typeof operation.data !== 'object' || !operation.data)) {
+    return 'data must be an object';
+  }
+  if (operation.version != null && !Number.isInteger(operation.version)) return 'version must be an integer';
+  return null;
 }
 
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    ensureDbDir();
+// Returns { atomic, operations } or { error }
+function parseBatch(body) {
+  const { atomic = true, operations } = body ?? {};
 
-    const db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) return reject(err);
+  if (typeof atomic !== 'boolean') return { error: 'atomic must be true or false' };
+  if (!Array.isArray(operations) || !operations.length) {
+    return { error: 'operations must be a non-empty array' };
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return { error: `A batch can have at most ${MAX_BATCH_OPERATIONS} operations` };
+  }
 
-      db.run(`
-        CREATE TABLE IF NOT EXISTS posts (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          content TEXT NOT NULL,
-          created_at TEXT NOT NULL DEFAULT (datetime('now')),
-          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-        )
-      `, (err2) => {
-        if (err2) return reject(err2);
+  for (const [index, operation] of operations.entries()) {
+    const error = batchOperationError(operation);
+    if (error) return { error: `Operation ${index}: ${error}` };
+  }
+  return { atomic, operations };
+}
 
-        db.run(`ALTER TABLE posts ADD COLUMN created_at TEXT`, () => {});
-        db.run(`ALTER TABLE posts ADD COLUMN updated_at TEXT`, () => {});
+// Same checks as the single routes; errors are returned before anything is written
+async function runBatchOperation(tx, req, operation) {
+  const scope = BATCH_SCOPES[operation.op];
+  if (req.tokenUser && !req.tokenScopes.includes(scope)) {
+    return { status: 403, code: 'insufficient_scope', error: `Token is missing the ${scope} scope` };
+  }
 
-        db.run(`UPDATE posts SET created_at = COALESCE(created_at, datetime('now'))`);
-        db.run(`UPDATE posts SET updated_at = COALESCE(updated_at, created_at)`);
+  const invalid = (errors) => ({
+    status: 400,
+    code: 'validation_failed',
+    error: errors.map((error) => error.message).join('. '),
+    errors,
+  });
 
-        resolve(db);
-      });
+  if (operation.op === 'create') {
+    const { fields, errors } = parseNewPost(operation.data);
+    if (errors) return invalid(errors);
+    return { status: 201, post: await tx.create(fields, req.user.id) };
+  }
+
+  const id = Number(operation.id);
+  if (!Number.isInteger(id)) return { status: 400, code: 'bad_request', error: 'Invalid id' };
+
+  const current = await tx.findById(id);
+  if (!current || current.deleted_at) return { status: 404, code: 'not_found', error: 'Not found' };
+  if (!canModifyPost(req.user, current)) return { status: 403, code: 'forbidden', error: 'Forbidden' };
+  if (operation.version != null && operation.version !== current.version) {
+    return { status: 412, code: 'edit_conflict', error: 'This post was changed by someone else in the meantime', current };
+  }
+
+  if (operation.op === 'delete') {
+    await tx.trash(id);
+    return { status: 200, id, trashed: true };
+  }
+
+  const { fields, errors } = parsePostUpdate(operation.data);
+  if (errors) return invalid(errors);
+  return { status: 200, post: await tx.update(id, fields, req.user.id, null) };
+}
+
+app.post('/api/posts/batch', rateLimit('posts:batch'), requireUser, asyncRoute(async (req, res) => {
+  const { atomic, operations, error } = parseBatch(req.body);
+  if (error) return sendProblem(res, 400, error);
+
+  const results = [];
+  const rollback = new Error('Batch rolled back');
+
+  try {
+    await posts.transaction(async (tx) => {
+      for (const [index, operation] of operations.entries()) {
+        const outcome = atomic
+          ? await runBatchOperation(tx, req, operation)
+          : await tx
+            .transaction((savepoint) => runBatchOperation(savepoint, req, operation))
+            .catch((err) => ({ status: 500, code: 'internal_error', error: err.message }));
+
+        results.push({ index, op: operation.op, ...outcome });
+        if (atomic && outcome.error) throw rollback;
+      }
     });
+  } catch (err) {
+    if (err !== rollback) throw err;
+  }
+
+  const failure = atomic && results.find((result) => result.error);
+  if (!failure) return res.json({ atomic, committed: true, results });
+
+  const notApplied = { status: 424, code: 'failed_dependency', error: `Not applied: operation ${failure.index} failed` };
+  sendProblem(res, failure.status, `Operation ${failure.index} failed: ${failure.error}`, {
+    code: failure.code,
+    atomic,
+    committed: false,
+    results: operations.map((operation, index) =>
+      index === failure.index ? failure : { index, op: operation.op, ...notApplied }
+    ),
+  });
+}));
+
+/* Trash */
+// Trashed posts are purged for good after this many days (cron.js does the purge)
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Admins see the whole trash, authors their own posts
+app.get('/api/trash', requireUser, asyncRoute(async (req, res) => {
+  res.json({
+    retention_days: TRASH_RETENTION_DAYS,
+    posts: await posts.listTrash(req.user, TRASH_RETENTION_DAYS),
+  });
+}));
+
+app.post('/api/posts/:id/restore', rateLimit('posts:update'), requireUser, requireTrashedPostOwner, asyncRoute(async (req, res) => {
+  const post = await posts.restore(Number(req.params.id));
+  if (!post) return sendProblem(res, 404, 'Not found');
+
+  await sendPost(res, post);
+}));
+
+/* Permanent purge of one trashed post */
+app.delete('/api/trash/:id', rateLimit('posts:delete'), requireUser, requireTrashedPostOwner, asyncRoute(async (req, res) => {
+  await posts.purge(Number(req.params.id));
+  res.json({ success: true });
+}));
+
+/* Empty the trash */
+app.delete('/api/trash', rateLimit('posts:delete'), requireUser, asyncRoute(async (req, res) => {
+  res.json({ success: true, purged: await posts.emptyTrash(req.user) });
+}));
+
+/* Comments */
+const COMMENT_MAX_AUTHOR = 60;
+const COMMENT_MAX_BODY = 2000;
+const COMMENT_MAX_LINKS = 2;
+const COMMENT_STATUSES = ['pending', 'approved', 'spam'];
+
+// Extra words can be added with COMMENT_BLOCKLIST="word1,word2"
+const COMMENT_BLOCKLIST = [
+  'viagra', 'casino', 'crypto giveaway', 'payday loan', 'free money',
+  ...String(process.env.COMMENT_BLOCKLIST || '').split(','),
+]
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// Returns the reason a comment looks like spam, or null.
+// `website` is a honeypot: the field is hidden in the UI, so only bots fill it in.
+function detectSpam({ author_name, body, website }) {
+  if (website) return 'honeypot';
+
+  const links = (body.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > COMMENT_MAX_LINKS) return 'too many links';
+
+  const text = `${author_name} ${body}`.toLowerCase();
+  const hit = COMMENT_BLOCKLIST.find((word) => text.includes(word));
+  if (hit) return `blocklisted word: ${hit}`;
+
+  return null;
+}
+
+// Nests approved comments under their parents. Replies whose parent is not
+// visible (pending/spam) are shown at the top level instead of being lost.
+function buildCommentTree(rows) {
+  const byId = new Map(rows.map((row) => [row.id, { ...row, replies: [] }]));
+  const roots = [];
+
+  byId.forEach((comment) => {
+    const parent = comment.parent_id != null ? byId.get(comment.parent_id) : null;
+    if (parent) parent.replies.push(comment);
+    else roots.push(comment);
   });
+
+  return roots;
 }
 
-let db;
+const COMMENT_PUBLIC_COLUMNS = 'id, post_id, parent_id, author_name, body, created_at';
+
+app.get('/api/posts/:id/comments', asyncRoute(async (req, res) => {
+  const postId = Number(req.params.id);
+
+  if (!Number.isFinite(postId)) {
+    return sendProblem(res, 400, 'Invalid id');
+  }
+
+  const post = await posts.findById(postId);
+  if (!post || !isVisible(post, req.user)) return sendProblem(res, 404, 'Not found');
+
+  db.all(
+    `
+    SELECT ${COMMENT_PUBLIC_COLUMNS} FROM comments
+    WHERE post_id = ? AND status = 'approved'
+    ORDER BY created_at, id
+    `,
+    [postId],
+    (e2, rows) => {
+      if (e2) return sendProblem(res, 500, e2.message);
+      res.json({ count: rows.length, comments: buildCommentTree(rows) });
+    }
+  );
+}));
+
+// Text fields of a new comment and their names in messages
+const COMMENT_TEXT_FIELDS = { author_name: 'Name', body: 'Comment', website: 'Website' };
+
+app.post('/api/posts/:id/comments', rateLimit('comments:create'), asyncRoute(async (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return sendValidationProblem(res, [
+      { field: null, code: 'invalid_type', message: 'The comment must be a JSON object' },
+    ]);
+  }
+
+  // objects and arrays would otherwise be stored as "[object Object]" or joined text
+  const typeErrors = Object.entries(COMMENT_TEXT_FIELDS)
+    .filter(([field]) => req.body[field] != null && typeof req.body[field] !== 'string')
+    .map(([field, label]) => ({ field, code: 'invalid_type', message: `${label} must be text` }));
+  if (typeErrors.length) return sendValidationProblem(res, typeErrors);
+
+  const postId = Number(req.params.id);
+  const author_name = (req.body.author_name ?? '').trim();
+  const body = (req.body.body ?? '').trim();
+  const website = (req.body.website ?? '').trim();
+  const parentId = req.body.parent_id == null ? null : Number(req.body.parent_id);
+
+  if (!Number.isFinite(postId)) {
+    return sendProblem(res, 400, 'Invalid id');
+  }
+
+  if (!author_name || !body) {
+    return sendProblem(res, 400, 'Name and comment required');
+  }
+
+  if (author_name.length > COMMENT_MAX_AUTHOR) {
+    return sendProblem(res, 400, `Name must be at most ${COMMENT_MAX_AUTHOR} characters long`);
+  }
+
+  if (body.length > COMMENT_MAX_BODY) {
+    return sendProblem(res, 400, `Comment must be at most ${COMMENT_MAX_BODY} characters long`);
+  }
+
+  if (parentId !== null && !Number.isInteger(parentId)) {
+    return sendProblem(res, 400, 'Invalid parent_id');
+  }
+
+  const post = await posts.findById(postId);
+  if (!post || !isVisible(post, req.user)) return sendProblem(res, 404, 'Not found');
+
+  const checkParent = (callback) => {
+    if (parentId === null) return callback(null, true);
+    db.get(
+      `SELECT id FROM comments WHERE id = ? AND post_id = ?`,
+      [parentId, postId],
+      (e2, parent) => callback(e2, !!parent)
+    );
+  };
+
+  checkParent((e2, parentOk) => {
+    if (e2) return sendProblem(res, 500, e2.message);
+    if (!parentOk) return sendProblem(res, 400, 'Parent comment not found on this post');
+
+    const spamReason = detectSpam({ author_name, body, website });
+
+    db.run(
+      `
+      INSERT INTO comments (post_id, parent_id, author_name, body, status, spam_reason, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+      [postId, parentId, author_name, body, spamReason ? 'spam' : 'pending', spamReason, req.ip],
+      function (e3) {
+        if (e3) return sendProblem(res, 500, e3.message);
+
+        // Spam is reported as pending so bots learn nothing from the response
+        res.status(201).json({
+          id: this.lastID,
+          post_id: postId,
+          parent_id: parentId,
+          author_name,
+          body,
+          status: 'pending',
+        });
+      }
+    );
+  });
+}));
+
+/* Comment moderation (admins only) */
+app.get('/api/comments', requireRole('admin'), (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!COMMENT_STATUSES.includes(status)) {
+    return sendProblem(res, 400, `status must be one of: ${COMMENT_STATUSES.join(', ')}`);
+  }
 
-/* GET all */
-app.get('/api/posts', (req, res) => {
   db.all(
-    `SELECT * FROM posts ORDER BY id DESC`,
-    [],
+    `
+    SELECT c.*, p.title AS post_title
+    FROM comments c
+    JOIN posts p ON p.id = c.post_id
+    WHERE c.status = ?
+    ORDER BY c.created_at DESC, c.id DESC
+    LIMIT 200
+    `,
+    [status],
     (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
+      if (err) return sendProblem(res, 500, err.message);
       res.json(rows);
     }
   );
 });
 
-/* GET by id */
-app.get('/api/posts/:id', (req, res) => {
+function setCommentStatus(status) {
+  return (req, res) => {
+    const id = Number(req.params.id);
+
+    if (!Number.isFinite(id)) {
+      return sendProblem(res, 400, 'Invalid id');
+    }
+
+    db.run(
+      `UPDATE comments SET status = ?, updated_at = datetime('now') WHERE id = ?`,
+      [status, id],
+      function (err) {
+        if (err) return sendProblem(res, 500, err.message);
+        if (!this.changes) return sendProblem(res, 404, 'Not found');
+
+        db.get(`SELECT * FROM comments WHERE id = ?`, [id], (e2, row) => {
+          if (e2) return sendProblem(res, 500, e2.message);
+          res.json(row);
+        });
+      }
+    );
+  };
+}
+
+app.post('/api/comments/:id/approve', requireRole('admin'), setCommentStatus('approved'));
+// rejecting files the comment as spam; it stays out of the public thread
+app.post('/api/comments/:id/reject', requireRole('admin'), setCommentStatus('spam'));
+
+app.delete('/api/comments/:id', requireRole('admin'), (req, res) => {
   const id = Number(req.params.id);
 
   if (!Number.isFinite(id)) {
-    return res.status(400).json({ error: 'Invalid id' });
+    return sendProblem(res, 400, 'Invalid id');
   }
 
-  db.get(`SELECT * FROM posts WHERE id = ?`, [id], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!row) return res.status(404).json({ error: 'Not found' });
+  db.run(`DELETE FROM comments WHERE id = ?`, [id], function (err) {
+    if (err) return sendProblem(res, 500, err.message);
+    if (!this.changes) return sendProblem(res, 404, 'Not found');
 
-    res.json(row);
+    res.json({ success: true });
   });
 });
 
-/* CREATE */
-app.post('/api/posts', (req, res) => {
-  const { title, content } = req.body;
+/* Media library */
+const MEDIA_MAX_BYTES = (Number(process.env.MEDIA_MAX_MB) || 10) * 1024 * 1024;
+
+// Kept in memory until the bytes are checked and hashed
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 },
+});
+
+function formatMedia(row) {
+  return { ...row, url: `/uploads/${row.filename}` };
+}
+
+// Admins see the whole library, authors their own uploads
+function mediaOwnerFilter(user) {
+  return user.role === 'admin'
+    ? { sql: '1 = 1', params: [] }
+    : { sql: 'm.uploader_id = ?', params: [user.id] };
+}
+
+function handleMediaUpload(req, res, next) {
+  mediaUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return sendProblem(res, 413, `File is larger than ${MEDIA_MAX_BYTES / 1024 / 1024} MB`);
+    }
+    if (err) return sendProblem(res, 400, err.message);
+    next();
+  });
+}
+
+app.post('/api/media', rateLimit('media:upload'), requireUser, handleMediaUpload, (req, res) => {
+  if (!req.file) return sendProblem(res, 400, 'file is required (multipart field "file")');
 
-  if (!title?.trim() || !content?.trim()) {
-    return res.status(400).json({ error: 'Title and content required' });
+  const type = sniffType(req.file.buffer);
+  if (!type) {
+    return sendProblem(res, 415, `Unsupported file type; allowed: ${MEDIA_MIME_TYPES.join(', ')}`);
   }
 
-  db.run(
-    `INSERT INTO posts (title, content) VALUES (?, ?)`,
-    [title.trim(), content.trim()],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-
-      db.get(
-        `SELECT * FROM posts WHERE id = ?`,
-        [this.lastID],
-        (e2, row) => {
-          if (e2) return res.status(500).json({ error: e2.message });
-          res.status(201).json(row);
+  const filename = `${sha256(req.file.buffer)}.${type.ext}`;
+
+  // A concurrent upload of the same bytes may have won the UNIQUE filename:
+  // answer with its row. Otherwise no row owns the file written, so it goes.
+  const insertFailed = (err) => {
+    db.get(`SELECT * FROM media WHERE filename = ?`, [filename], (e2, existing) => {
+      if (existing) return res.json(formatMedia(existing));
+
+      fs.unlink(path.join(UPLOAD_DIR, filename), () => sendProblem(res, 500, err.message));
+    });
+  };
+
+  // the same bytes uploaded again reuse the existing file
+  db.get(`SELECT * FROM media WHERE filename = ?`, [filename], (err, existing) => {
+    if (err) return sendProblem(res, 500, err.message);
+    if (existing) return res.json(formatMedia(existing));
+
+    fs.writeFile(path.join(UPLOAD_DIR, filename), req.file.buffer, (e2) => {
+      if (e2) return sendProblem(res, 500, e2.message);
+
+      const size = imageSize(req.file.buffer, type.mime);
+      const originalName = path.basename(String(req.file.originalname || filename)).slice(0, 255);
+
+      db.run(
+        `
+        INSERT INTO media (filename, original_name, mime_type, size, width, height, uploader_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+        [filename, originalName, type.mime, req.file.size, size?.width ?? null, size?.height ?? null, req.user.id],
+        function (e3) {
+          if (e3) return insertFailed(e3);
+
+          db.get(`SELECT * FROM media WHERE id = ?`, [this.lastID], (e4, row) => {
+            if (e4) return sendProblem(res, 500, e4.message);
+            res.status(201).json(formatMedia(row));
+          });
         }
       );
+    });
+  });
+});
+
+app.get('/api/media', requireUser, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const owner = mediaOwnerFilter(req.user);
+
+  db.all(
+    `
+    SELECT m.*, u.username AS uploader_username
+    FROM media m
+    LEFT JOIN users u ON u.id = m.uploader_id
+    WHERE ${owner.sql}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT ? OFFSET ?
+    `,
+    [...owner.params, limit, offset],
+    (err, rows) => {
+      if (err) return sendProblem(res, 500, err.message);
+      res.json({ media: rows.map(formatMedia), limit, offset });
     }
   );
 });
 
-/* UPDATE */
-app.put('/api/posts/:id', (req, res) => {
+app.delete('/api/media/:id', requireUser, (req, res) => {
   const id = Number(req.params.id);
-  const { title, content } = req.body;
 
   if (!Number.isFinite(id)) {
-    return res.status(400).json({ error: 'Invalid id' });
+    return sendProblem(res, 400, 'Invalid id');
   }
 
-  if (!title?.trim() || !content?.trim()) {
-    return res.status(400).json({ error: 'Title and content required' });
+  db.get(`SELECT * FROM media WHERE id = ?`, [id], (err, media) => {
+    if (err) return sendProblem(res, 500, err.message);
+    if (!media) return sendProblem(res, 404, 'Not found');
+    if (req.user.role !== 'admin' && media.uploader_id !== req.user.id) {
+      return sendProblem(res, 403, 'Forbidden');
+    }
+
+    db.run(`DELETE FROM media WHERE id = ?`, [id], (e2) => {
+      if (e2) return sendProblem(res, 500, e2.message);
+
+      fs.unlink(path.join(UPLOAD_DIR, media.filename), (e3) => {
+        if (e3 && e3.code !== 'ENOENT') logger.error('Failed to remove upload', { request_id: req.id, error: e3.message });
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+/* Export / import (admins only) */
+// GET /api/export?format=json|markdown streams every post, trash excluded,
+// oldest first. POST /api/import takes such a file (multipart field "file")
+// plus the options dry_run, keep_timestamps and duplicates=skip|import,
+// either as form fields or in the query string. It runs in one transaction;
+// a dry run does all the work and then rolls it back, so its report is
+// exactly what a real import would do.
+const EXPORT_FORMATS = ['json', 'markdown'];
+const EXPORT_PAGE_SIZE = 100;
+const IMPORT_MAX_BYTES = (Number(process.env.IMPORT_MAX_MB) || 50) * 1024 * 1024;
+const IMPORT_DUPLICATES = ['skip', 'import'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+});
+
+app.get('/api/export', requireRole('admin'), asyncRoute(async (req, res) => {
+  const format = req.query.format === undefined ? 'json' : String(req.query.format);
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendProblem(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
   }
 
-  db.run(
-    `
-    UPDATE posts
-    SET title = ?, content = ?, updated_at = datetime('now')
-    WHERE id = ?
-    `,
-    [title.trim(), content.trim(), id],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-      if (!this.changes) return res.status(404).json({ error: 'Not found' });
-
-      db.get(
-        `SELECT * FROM posts WHERE id = ?`,
-        [id],
-        (e2, row) => {
-          if (e2) return res.status(500).json({ error: e2.message });
-          res.json(row);
-        }
-      );
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`blog-export-${date}.${format === 'markdown' ? 'zip' : 'json'}`);
+  res.set('Cache-Control', 'no-store');
+
+  const writer = format === 'markdown' ? markdownZipWriter(res) : jsonArchiveWriter(res);
+  const query = { limit: EXPORT_PAGE_SIZE, sort: 'created_at', order: 'asc', cursor: null, filters: [], tag: null, status: null };
+
+  try {
+    let hasMore = true;
+    while (hasMore) {
+      const page = await posts.list(query, req.user);
+      for (const post of page.posts) await writer.add(post);
+
+      const last = page.posts[page.posts.length - 1];
+      hasMore = page.hasMore;
+      if (last) query.cursor = { id: last.id, v: last.created_at };
     }
-  );
-});
+    await writer.end();
+  } catch (err) {
+    // too late for an error response once the file has started
+    if (!res.headersSent) throw err;
+    logger.error('Export failed', { request_id: req.id, error: err.message });
+    res.destroy(err);
+  }
+}));
 
-/* DELETE */
-app.delete('/api/posts/:id', (req, res) => {
-  const id = Number(req.params.id);
+function handleImportUpload(req, res, next) {
+  importUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return sendProblem(res, 413, `File is larger than ${IMPORT_MAX_BYTES / 1024 / 1024} MB`);
+    }
+    if (err) return sendProblem(res, 400, err.message);
+    next();
+  });
+}
 
-  if (!Number.isFinite(id)) {
-    return res.status(400).json({ error: 'Invalid id' });
+// Returns { options } or { error }; form fields win over the query string
+function parseImportOptions(source) {
+  const flag = (name) => {
+    const value = source[name];
+    if (value === undefined || value === '') return { value: false };
+    if (['true', '1'].includes(String(value))) return { value: true };
+    if (['false', '0'].includes(String(value))) return { value: false };
+    return { error: `${name} must be true or false` };
+  };
+
+  const dryRun = flag('dry_run');
+  const keepTimestamps = flag('keep_timestamps');
+  const error = dryRun.error || keepTimestamps.error;
+  if (error) return { error };
+
+  const duplicates = source.duplicates === undefined ? 'skip' : String(source.duplicates);
+  if (!IMPORT_DUPLICATES.includes(duplicates)) {
+    return { error: `duplicates must be one of: ${IMPORT_DUPLICATES.join(', ')}` };
   }
 
-  db.run(`DELETE FROM posts WHERE id = ?`, [id], function (err) {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!this.changes) return res.status(404).json({ error: 'Not found' });
+  return { options: { dryRun: dryRun.value, keepTimestamps: keepTimestamps.value, duplicates } };
+}
 
-    res.json({ success: true });
+// Returns { timestamps } or { error }; a date that is missing stays null
+// and the store fills in its default
+function parseImportTimestamps(item) {
+  const timestamps = {};
+  for (const name of ['created_at', 'updated_at', 'published_at']) {
+    if (item[name] == null || item[name] === '') {
+      timestamps[name] = null;
+      continue;
+    }
+
+    timestamps[name] = toSqliteDate(item[name], false);
+    if (!timestamps[name]) return { error: `${name} must be a valid date` };
+  }
+  return { timestamps };
+}
+
+// One entry of the import report; writes through `repo`
+async function importPost(repo, item, user, options) {
+  const title = typeof item.title === 'string' ? item.title : null;
+  if (item.error) return { title, result: 'invalid', error: item.error };
+
+  // publish_at outlives publishing in an export; it only means something
+  // for a post that is still scheduled
+  const { fields, errors } = parseNewPost({
+    ...item,
+    publish_at: item.status === 'scheduled' ? item.publish_at : undefined,
+  });
+  if (errors) return { title, result: 'invalid', error: errors.map((error) => error.message).join('. '), errors };
+
+  if (options.keepTimestamps) {
+    const parsed = parseImportTimestamps(item);
+    if (parsed.error) return { title, result: 'invalid', error: parsed.error };
+    fields.timestamps = parsed.timestamps;
+  }
+
+  // posts created earlier in this same import count too
+  if (options.duplicates === 'skip') {
+    const existing = await repo.findDuplicate(fields);
+    if (existing) return { title: fields.title, result: 'duplicate', duplicate_of: existing };
+  }
+
+  const post = await repo.create(fields, user.id);
+  return { title: post.title, result: 'created', id: post.id, slug: post.slug };
+}
+
+// Stands in for the repository on a dry run, which writes nothing: create()
+// only notes the post, so that later copies of it in the same file are still
+// reported as duplicates, of the report entry (`index`) that would create it
+function dryRunRepository(repo, report) {
+  const planned = [];
+
+  return {
+    async findDuplicate({ title, content }) {
+      const earlier = planned.find((post) => post.title === title && post.content === content);
+      return earlier ? { index: earlier.index } : repo.findDuplicate({ title, content });
+    },
+
+    // the entry for this post is the next one in the report
+    async create({ title, content }) {
+      planned.push({ title, content, index: report.length });
+      return { title, id: null, slug: null };
+    },
+  };
+}
+
+app.post('/api/import', rateLimit('import'), requireRole('admin'), handleImportUpload, asyncRoute(async (req, res) => {
+  if (!req.file) return sendProblem(res, 400, 'Upload the export as the "file" field');
+
+  const { options, error: optionsError } = parseImportOptions({ ...req.query, ...req.body });
+  if (optionsError) return sendProblem(res, 400, optionsError);
+
+  const { format, items, error } = await readImport(req.file.buffer);
+  if (error) return sendProblem(res, 400, error);
+
+  const report = [];
+  const importItems = async (repo) => {
+    for (const [index, item] of items.entries()) {
+      report.push({ index, source: item.source, ...(await importPost(repo, item, req.user, options)) });
+    }
+  };
+
+  if (options.dryRun) await importItems(dryRunRepository(posts, report));
+  else await posts.transaction(importItems);
+
+  const count = (result) => report.filter((entry) => entry.result === result).length;
+  res.json({
+    format,
+    dry_run: options.dryRun,
+    created: count('created'),
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    items: report,
+  });
+}));
+
+/* Backups (admins only) */
+// Snapshots of the database, see lib/backup.js. cron.js takes them on a
+// schedule; `node backup.js restore` swaps one back in.
+let backupRunning = false;
+
+// While `node backup.js maintenance on` (or a restore) runs, the API only
+// answers reads
+function refuseWritesInMaintenance(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !isMaintenance()) return next();
+
+  res.set('Retry-After', '60');
+  sendProblem(res, 503, 'The blog is in maintenance mode; try again in a minute', { code: 'maintenance' });
+}
+
+app.get('/api/backups', requireRole('admin'), (req, res) => {
+  listBackups(BACKUP_DIR, (err, backups) => {
+    if (err) return sendProblem(res, 500, err.message);
+    res.json({ backups, keep: BACKUP_KEEP, retention_days: BACKUP_RETENTION_DAYS });
+  });
+});
+
+app.post('/api/backups', requireRole('admin'), (req, res) => {
+  if (backupRunning) return sendProblem(res, 409, 'A backup is already running');
+
+  backupRunning = true;
+  createBackup({ dbPath: DB_PATH }, (err, backup) => {
+    if (err) {
+      backupRunning = false;
+      return sendProblem(res, 500, err.message);
+    }
+
+    pruneBackups({}, (e2, removed) => {
+      backupRunning = false;
+      if (e2) logger.error('Failed to rotate backups', { request_id: req.id, error: e2.message });
+      res.status(201).json({ ...backup, removed: removed || [] });
+    });
   });
 });
 
 /* API 404 */
 app.use('/api', (req, res) => {
-  res.status(404).json({ error: 'Not found' });
+  sendProblem(res, 404, 'Not found');
+});
+
+/* Health checks and metrics */
+// /healthz answers while the process is up; /readyz also needs the database
+// and answers 503 without it. /metrics is Prometheus text format, public
+// unless METRICS_TOKEN is set, in which case it wants that Bearer token.
+const READY_TIMEOUT_MS = 2000;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+metrics.gauge('blog_posts', 'Posts by status; posts in the trash count as "trashed".', () =>
+  new Promise((resolve, reject) => {
+    db.all(
+      `SELECT CASE WHEN deleted_at IS NULL THEN status ELSE 'trashed' END AS status, COUNT(*) AS count
+       FROM posts GROUP BY 1`,
+      (err, rows) => {
+        if (err) return reject(err);
+
+        const counts = new Map(rows.map((row) => [row.status, row.count]));
+        resolve([...POST_STATUSES, 'trashed'].map((status) => ({ labels: { status }, value: counts.get(status) || 0 })));
+      }
+    );
+  })
+);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', async () => [
+  { value: process.memoryUsage().rss },
+]);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.', async () => [
+  { value: Math.round(Date.now() / 1000 - process.uptime()) },
+]);
+
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+app.get('/readyz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (shuttingDown) return res.status(503).json({ status: 'shutting down' });
+
+  let answered = false;
+  const answer = (err) => {
+    if (answered) return;
+    answered = true;
+    clearTimeout(timer);
+
+    if (err) return res.status(503).json({ status: 'unavailable', checks: { database: err.message } });
+    res.json({ status: 'ok', checks: { database: 'ok' }, maintenance: isMaintenance() });
+  };
+
+  const timer = setTimeout(() => answer(new Error('Database did not answer in time')), READY_TIMEOUT_MS);
+  db.get('SELECT 1', (err) => answer(err));
+});
+
+app.get('/metrics', asyncRoute(async (req, res) => {
+  const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+  if (METRICS_TOKEN && (scheme !== 'Bearer' || !token || hashToken(token) !== hashToken(METRICS_TOKEN))) {
+    return sendProblem(res, 401, 'Metrics token required');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(await metrics.render());
+}));
+
+/* Server-rendered pages: home, permalinks, sitemap, robots.txt */
+const HOME_PAGE_LIMIT = 20;
+const SITE_TITLE = 'Blog Milad';
+const SITE_DESCRIPTION = 'Node.js MVC Blog (Express + SQLite)';
+
+function siteUrl(req) {
+  return (PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Promise-returning page handlers: a rejection becomes a plain 500
+function asyncPage(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch((err) => {
+      logger.error('Request failed', { request_id: req.id, error: err.stack });
+      res.status(500).send('Internal Server Error');
+    });
+}
+
+// Pages and feeds are public, so only published posts show up (no session lookup)
+app.get('/', asyncPage(async (req, res) => {
+  const list = await posts.listPublic({ orderBy: 'created_at', limit: HOME_PAGE_LIMIT });
+
+  res.send(pages.renderPage({
+    title: SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    canonical: `${siteUrl(req)}/`,
+    body: pages.renderPostList(list),
+  }));
+}));
+
+app.get('/posts/:slug', asyncPage(async (req, res) => {
+  const notFound = () =>
+    // the client may still show it to a logged-in author
+    res.status(404).send(pages.renderPage({ title: `Not found · ${SITE_TITLE}`, noindex: true }));
+
+  const found = await posts.findBySlug(req.params.slug);
+  if (!found) return notFound();
+
+  // checked before redirecting, so an old slug does not give away the
+  // current one of a draft or trashed post
+  const post = await posts.findById(found.id);
+  if (!post || !isVisible(post, null)) return notFound();
+
+  if (found.slug !== req.params.slug) {
+    return res.redirect(301, `/posts/${encodeURIComponent(found.slug)}`);
+  }
+
+  res.send(pages.renderPage({
+    title: `${post.title} · ${SITE_TITLE}`,
+    description: pages.summarize(post.content_html),
+    canonical: `${siteUrl(req)}/posts/${encodeURIComponent(post.slug)}`,
+    type: 'article',
+    body: pages.renderPostArticle(post),
+  }));
+}));
+
+app.get('/sitemap.xml', asyncPage(async (req, res) => {
+  const list = await posts.listPublic({ orderBy: 'updated_at', limit: null });
+  res.type('application/xml').send(pages.renderSitemap(siteUrl(req), list));
+}));
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send(pages.renderRobots(siteUrl(req)));
 });
 
+/* Feeds: RSS, Atom, JSON Feed */
+const FEED_LIMIT = 20;
+
+// Most recently updated posts first. Last-Modified plus the ETag res.send()
+// adds let Express answer If-Modified-Since / If-None-Match with a 304.
+function sendFeed(type, render) {
+  return asyncPage(async (req, res) => {
+    const list = await posts.listPublic({ orderBy: 'updated_at', limit: FEED_LIMIT, withTags: true });
+
+    const site = { title: SITE_TITLE, description: SITE_DESCRIPTION, baseUrl: siteUrl(req) };
+    const body = render(site, list);
+
+    res.set('Last-Modified', feeds.lastUpdated(list).toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type(type).send(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  });
+}
+
+app.get('/feed.xml', sendFeed('application/rss+xml', feeds.renderRss));
+app.get('/atom.xml', sendFeed('application/atom+xml', feeds.renderAtom));
+app.get('/feed.json', sendFeed('application/feed+json', feeds.renderJsonFeed));
+
 /* SPA */
 app.get(/^(?!\/api).*/, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  res.set('Cache-Control', 'no-cache');
+  res.type('html').send(pages.renderShell());
 });
 
+/* Startup and shutdown */
+// On SIGTERM or SIGINT (PM2 sends SIGINT on stop and reload) the server stops
+// accepting connections, lets requests in flight finish for up to
+// SHUTDOWN_TIMEOUT_MS, then closes the database and exits. /readyz answers
+// 503 meanwhile.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+let server = null;
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, timeout_ms: SHUTDOWN_TIMEOUT_MS });
+
+  const closeDatabase = () => {
+    if (!db) return process.exit(0);
+
+    const fail = (err) => {
+      logger.error('Failed to close the database', { error: err.message });
+      process.exit(1);
+    };
+
+    // the transactions' connection first; sqlite3 runs the statements
+    // already queued before it closes
+    posts.close().then(() => {
+      db.close((err) => (err ? fail(err) : process.exit(0)));
+    }, fail);
+  };
+
+  if (!server) return closeDatabase();
+
+  const deadline = setTimeout(() => {
+    logger.warn('Shutdown deadline reached; closing open connections');
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  server.close(() => {
+    clearTimeout(deadline);
+    closeDatabase();
+  });
+  // keep-alive connections with no request in flight would hold close() up
+  server.closeIdleConnections();
+}
+
 async function startServer() {
   try {
     db = await initializeDatabase();
+    posts = createSqlitePostRepository(db, { connect: openDatabase });
+    rateLimitBuckets = RATE_LIMIT_STORES[RATE_LIMIT_STORE](db);
 
-    app.listen(PORT, () => {
-      console.log(`Server running on :${PORT}`);
+    server = app.listen(PORT, () => {
+      logger.info('Server running', { port: Number(PORT) });
+      // PM2 (wait_ready) holds a reload until the new instance says so
+      if (process.send) process.send('ready');
     });
   } catch (err) {
-    console.error(err);
+    logger.error('Failed to start', { error: err.stack });
     process.exit(1);
   }
 }
 
-process.on('SIGINT', () => {
-  if (db) db.close();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer();
@@ -0,0 +1,211 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { configureConnection } = require('./lib/db');
+const { migrateUp } = require('./lib/migrate');
+const {
+  DB_PATH,
+  BACKUP_DIR,
+  listBackups,
+  checkIntegrity,
+  createBackup,
+  pruneBackups,
+  restoreBackup,
+  isMaintenance,
+  setMaintenance,
+} = require('./lib/backup');
+
+// Database snapshots from the command line (cron.js takes the scheduled ones):
+//
+//   node backup.js create             take a snapshot now, then rotate
+//   node backup.js list               snapshots, newest first
+//   node backup.js verify <name>      integrity check of one snapshot
+//   node backup.js restore <name>     swap a snapshot in (see below)
+//   node backup.js restore --at <time>  the newest snapshot taken at or before <time>
+//   node backup.js maintenance on|off refuse / accept writes in a running app
+//
+// restore works with the app stopped or running. Unless maintenance mode is
+// already on, it turns it on for the duration, waits for writes in flight,
+// snapshots the current database (so the restore can be undone), copies the
+// chosen snapshot in and applies any migrations it is behind on.
+
+// time for requests that got past the maintenance check to finish writing
+const MAINTENANCE_GRACE_MS = 2000;
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function usage() {
+  console.error('Usage: node backup.js create | list | verify <name> | restore <name> | restore --at <time> | maintenance on|off');
+  process.exit(2);
+}
+
+// callback(err, backup): by name, or the newest one at or before --at
+function findSnapshot(callback) {
+  const atIndex = process.argv.indexOf('--at');
+  const name = process.argv[3];
+  if (!name) usage();
+
+  listBackups(BACKUP_DIR, (err, backups) => {
+    if (err) return callback(err);
+
+    if (atIndex === -1) {
+      const backup = backups.find((b) => b.name === path.basename(name));
+      return callback(backup ? null : new Error(`No snapshot named ${name} in ${BACKUP_DIR}`), backup);
+    }
+
+    const at = new Date(process.argv[atIndex + 1]);
+    if (Number.isNaN(at.getTime())) return callback(new Error('--at needs a date, e.g. 2024-05-01T09:30:00Z'));
+
+    const backup = backups.find((b) => Date.parse(b.created_at) <= at.getTime());
+    callback(backup ? null : new Error(`No snapshot taken at or before ${at.toISOString()}`), backup);
+  });
+}
+
+function create(callback) {
+  createBackup({}, (err, backup) => {
+    if (err) return callback(err);
+    console.log(`Created ${backup.name} (${formatSize(backup.size)})`);
+
+    pruneBackups({}, (e2, removed) => {
+      removed?.forEach((name) => console.log(`Removed ${name}`));
+      callback(e2);
+    });
+  });
+}
+
+function list(callback) {
+  listBackups(BACKUP_DIR, (err, backups) => {
+    if (err) return callback(err);
+
+    backups.forEach((b) => console.log(`${b.name.padEnd(36)} ${formatSize(b.size).padStart(10)}`));
+    console.log(backups.length ? `\n${backups.length} snapshot(s) in ${BACKUP_DIR}` : `No snapshots in ${BACKUP_DIR}`);
+    callback(null);
+  });
+}
+
+function verify(callback) {
+  findSnapshot((err, backup) => {
+    if (err) return callback(err);
+
+    checkIntegrity(path.join(BACKUP_DIR, backup.name), (e2, problems) => {
+      if (e2) return callback(e2);
+      if (problems) return callback(new Error(`${backup.name} is damaged: ${problems}`));
+      console.log(`${backup.name}: ok`);
+      callback(null);
+    });
+  });
+}
+
+// The change counter behind the list ETags must not go back in time, or
+// copies cached before the restore could match again
+function readChangeCount(callback) {
+  if (!fs.existsSync(DB_PATH)) return callback(null, 0);
+
+  const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY, (err) => {
+    if (err) return callback(err);
+
+    db.get(`SELECT value FROM change_counters WHERE name = 'posts'`, (e2, row) => {
+      // a database from before the counter existed
+      db.close(() => callback(null, e2 ? 0 : row?.value || 0));
+    });
+  });
+}
+
+function upgradeRestored(changeCount, callback) {
+  const db = new sqlite3.Database(DB_PATH, (err) => {
+    if (err) return callback(err);
+
+    configureConnection(db, (e1) => {
+      if (e1) return db.close(() => callback(e1));
+
+      migrateUp(db, { log: console.log }, (e2) => {
+        if (e2) return db.close(() => callback(e2));
+
+        db.run(
+          `UPDATE change_counters SET value = MAX(value, ?) + 1, changed_at = datetime('now') WHERE name = 'posts'`,
+          [changeCount],
+          (e3) => db.close(() => callback(e3))
+        );
+      });
+    });
+  });
+}
+
+function restore(callback) {
+  findSnapshot((err, backup) => {
+    if (err) return callback(err);
+
+    const file = path.join(BACKUP_DIR, backup.name);
+    checkIntegrity(file, (e2, problems) => {
+      if (e2) return callback(e2);
+      if (problems) return callback(new Error(`${backup.name} is damaged, not restoring it: ${problems}`));
+
+      const ownMaintenance = !isMaintenance();
+      if (ownMaintenance) {
+        setMaintenance(true);
+        console.log('Maintenance mode on');
+      }
+
+      const finish = (e3) => {
+        if (ownMaintenance) {
+          setMaintenance(false);
+          console.log('Maintenance mode off');
+        }
+        callback(e3);
+      };
+
+      // a database that was never created has nothing to keep
+      const keepCurrent = (cb) => (fs.existsSync(DB_PATH) ? createBackup({}, cb) : cb(null, null));
+
+      setTimeout(() => {
+        keepCurrent((e3, current) => {
+          if (e3) return finish(e3);
+          if (current) console.log(`Saved the current database as ${current.name}`);
+
+          readChangeCount((e4, changeCount) => {
+            if (e4) return finish(e4);
+
+            restoreBackup({ file }, (e5) => {
+              if (e5) return finish(e5);
+              console.log(`Restored ${backup.name} (taken ${backup.created_at})`);
+              upgradeRestored(changeCount, finish);
+            });
+          });
+        });
+      }, ownMaintenance ? MAINTENANCE_GRACE_MS : 0);
+    });
+  });
+}
+
+function maintenance(callback) {
+  const state = process.argv[3];
+  if (state !== 'on' && state !== 'off') usage();
+
+  setMaintenance(state === 'on');
+  console.log(`Maintenance mode ${state}`);
+  callback(null);
+}
+
+function run(command, callback) {
+  switch (command) {
+    case 'create':
+      return create(callback);
+    case 'list':
+      return list(callback);
+    case 'verify':
+      return verify(callback);
+    case 'restore':
+      return restore(callback);
+    case 'maintenance':
+      return maintenance(callback);
+    default:
+      return usage();
+  }
+}
+
+run(process.argv[2], (err) => {
+  if (err) console.error(err.message);
+  process.exit(err ? 1 : 0);
+});
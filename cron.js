@@ -0,0 +1,132 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { configureConnection } = require('./lib/db');
+const logger = require('./lib/logger');
+const { BACKUP_DIR, listBackups, createBackup, pruneBackups, isMaintenance } = require('./lib/backup');
+
+// Publishes scheduled posts whose publish_at has passed, purges posts that
+// have been in the trash longer than TRASH_RETENTION_DAYS (default 30) and
+// snapshots the database every BACKUP_INTERVAL_HOURS (default 24, 0 for
+// never; see lib/backup.js). Nothing runs while maintenance mode is on.
+// Runs next to app.js under PM2 (see ecosystem.server.config.js);
+// `node cron.js --once` does a single pass, e.g. for a system crontab.
+// Logs are JSON lines, like the server's (lib/logger.js).
+
+const DB_PATH = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'blog.db');
+const INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 30 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS === undefined ? 24 : Number(process.env.BACKUP_INTERVAL_HOURS);
+
+let backupRunning = false;
+
+// Going live counts as a change: the feeds and sitemap order posts by
+// updated_at, and ETags and Last-Modified follow it
+function publishDuePosts(db, callback) {
+  db.run(
+    `
+    UPDATE posts
+    SET status = 'published',
+        published_at = COALESCE(publish_at, datetime('now')),
+        updated_at = datetime('now'),
+        version = version + 1
+    WHERE status = 'scheduled' AND publish_at <= datetime('now') AND deleted_at IS NULL
+    `,
+    function (err) {
+      if (err) return callback(err);
+      callback(null, this.changes);
+    }
+  );
+}
+
+function purgeExpiredTrash(db, callback) {
+  db.run(
+    `DELETE FROM posts WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+    [`-${TRASH_RETENTION_DAYS} days`],
+    function (err) {
+      if (err) return callback(err);
+      callback(null, this.changes);
+    }
+  );
+}
+
+// Due when the newest snapshot (scheduled or not) is older than the
+// interval, so a restart neither skips nor repeats one
+function backupIfDue(callback) {
+  if (!BACKUP_INTERVAL_HOURS || backupRunning) return callback(null, null, []);
+
+  listBackups(BACKUP_DIR, (err, backups) => {
+    if (err) return callback(err);
+
+    const last = backups.length ? Date.parse(backups[0].created_at) : 0;
+    if (Date.now() - last < BACKUP_INTERVAL_HOURS * 60 * 60 * 1000) return callback(null, null, []);
+
+    backupRunning = true;
+    createBackup({ dbPath: DB_PATH }, (e2, backup) => {
+      backupRunning = false;
+      if (e2) return callback(e2);
+
+      pruneBackups({}, (e3, removed) => callback(e3, backup, removed || []));
+    });
+  });
+}
+
+function tick(db, done) {
+  if (isMaintenance()) {
+    if (done) done(null);
+    return;
+  }
+
+  publishDuePosts(db, (err, count) => {
+    if (err) logger.error('Publishing scheduled posts failed', { error: err.message });
+    else if (count) logger.info('Published scheduled posts', { count });
+
+    purgeExpiredTrash(db, (err2, purged) => {
+      if (err2) logger.error('Trash purge failed', { error: err2.message });
+      else if (purged) logger.info('Purged posts from the trash', { count: purged });
+
+      backupIfDue((err3, backup, removed) => {
+        if (err3) logger.error('Backup failed', { error: err3.message });
+        if (backup) logger.info('Backed up the database', { backup: backup.name });
+        removed?.forEach((name) => logger.info('Removed old backup', { backup: name }));
+        if (done) done(err || err2 || err3);
+      });
+    });
+  });
+}
+
+function start() {
+  const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, (err) => {
+    if (err) {
+      logger.error('Failed to open the database', { error: err.message });
+      process.exit(1);
+    }
+  });
+
+  // app.js writes to the same file: wait for its locks instead of failing.
+  // Foreign keys on: purged posts take their tags, comments and revisions
+  // along, so nothing runs before the settings are in place.
+  configureConnection(db, (err) => {
+    if (err) {
+      logger.error('Failed to configure the database', { error: err.message });
+      process.exit(1);
+    }
+
+    if (process.argv.includes('--once')) {
+      tick(db, (e2) => db.close(() => process.exit(e2 ? 1 : 0)));
+      return;
+    }
+
+    tick(db);
+    const timer = setInterval(() => tick(db), INTERVAL_MS);
+    logger.info('Scheduler running', { interval_ms: INTERVAL_MS });
+
+    const stop = () => {
+      clearInterval(timer);
+      db.close(() => process.exit(0));
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+start();
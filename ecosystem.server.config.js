@@ -3,10 +3,27 @@ module.exports = {
         {
             name: "server",
             script: "./app.js",
+            // Several instances share data/blog.db safely: WAL, busy timeouts
+            // and retries (lib/db.js), and migrations that take a lock
+            instances: process.env.WEB_CONCURRENCY || 2,
+            exec_mode: "cluster",
+            env: {
+                // in memory, each instance would allow the whole budget, so
+                // the limits would grow with the instance count
+                RATE_LIMIT_STORE: "sqlite",
+            },
+            // app.js sends "ready" once it listens; a reload waits for it
+            wait_ready: true,
+            listen_timeout: 15000,
+            // longer than SHUTDOWN_TIMEOUT_MS, so draining is not cut short
+            kill_timeout: 15000,
         },
-        // {
-        //     name: "cron",
-        //     script: "./cron.js",
-        // }
+        {
+            // one scheduler only: it publishes, purges and backs up for all
+            name: "cron",
+            script: "./cron.js",
+            instances: 1,
+            exec_mode: "fork",
+        }
     ]
-}
\ No newline at end of file
+}
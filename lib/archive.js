@@ -0,0 +1,206 @@
+const { once } = require('events');
+const path = require('path');
+const yaml = require('js-yaml');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+
+// Export archives, and reading them back for /api/import:
+//   - JSON: { format: 'blog-export', version: 1, exported_at, posts: [...] }
+//   - a zip of Markdown files, one per post, with YAML front matter
+// An exported post has id, title, slug, status, content_format, the dates
+// (ISO 8601, UTC), tags, author and content. Imports accept the same shape,
+// hand-written Markdown files included; only title and content are required.
+
+const ARCHIVE_FORMAT = 'blog-export';
+const ARCHIVE_VERSION = 1;
+
+// A zip is unpacked in memory, so its size is capped before reading
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_UNZIPPED_BYTES = 100 * 1024 * 1024;
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+// SQLite "YYYY-MM-DD HH:MM:SS" (UTC) -> ISO 8601
+function isoDate(value) {
+  return value ? `${String(value).replace(' ', 'T')}Z` : null;
+}
+
+function exportPost(post) {
+  return {
+    id: post.id,
+    title: post.title,
+    slug: post.slug,
+    status: post.status,
+    content_format: post.content_format,
+    created_at: isoDate(post.created_at),
+    updated_at: isoDate(post.updated_at),
+    published_at: isoDate(post.published_at),
+    publish_at: isoDate(post.publish_at),
+    tags: post.tags || [],
+    author: post.author_username ?? null,
+    content: post.content,
+  };
+}
+
+function toMarkdownFile(post) {
+  const { content, ...meta } = exportPost(post);
+  return `---\n${yaml.dump(meta, { lineWidth: -1 })}---\n\n${content}\n`;
+}
+
+/* Writers */
+// Both stream to `out` (the response): add(post) for each post, then end().
+// add() resolves once `out` is ready for more.
+function jsonArchiveWriter(out) {
+  let count = 0;
+
+  const write = async (chunk) => {
+    if (!out.write(chunk)) await once(out, 'drain');
+  };
+
+  // the header object, left open for the "posts" array
+  const head = JSON.stringify({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exported_at: new Date().toISOString() });
+
+  return {
+    async add(post) {
+      const prefix = count ? ',\n' : `${head.slice(0, -1)},"posts":[\n`;
+      count += 1;
+      await write(`${prefix}${JSON.stringify(exportPost(post))}`);
+    },
+
+    async end() {
+      out.end(count ? '\n]}\n' : `${head.slice(0, -1)},"posts":[]}\n`);
+    },
+  };
+}
+
+function markdownZipWriter(out) {
+  const zip = new yazl.ZipFile();
+  zip.outputStream.pipe(out);
+
+  return {
+    async add(post) {
+      const mtime = post.updated_at ? new Date(isoDate(post.updated_at)) : new Date();
+      zip.addBuffer(Buffer.from(toMarkdownFile(post)), `posts/${post.slug || post.id}.md`, { mtime });
+    },
+
+    async end() {
+      zip.end();
+      await once(out, 'finish');
+    },
+  };
+}
+
+/* Readers */
+// YAML turns unquoted dates into Date objects; everything else is kept as is
+function plainValue(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function tagList(value) {
+  if (value == null) return undefined;
+  return Array.isArray(value) ? value.map(String) : String(value).split(',').map((tag) => tag.trim());
+}
+
+function importItem(meta, content, source) {
+  const item = Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, plainValue(value)]));
+  return { ...item, content, tags: tagList(item.tags), source };
+}
+
+// Hand-written files may skip the front matter: the file name is the title
+function parseMarkdownFile(name, text) {
+  const match = FRONT_MATTER.exec(text.replace(/^﻿/, ''));
+  const title = path.basename(name, path.extname(name));
+  if (!match) return importItem({ title, content_format: 'markdown' }, text, name);
+
+  let meta;
+  try {
+    meta = yaml.load(match[1]) ?? {};
+  } catch (err) {
+    return { source: name, error: `Invalid front matter: ${err.reason || err.message}` };
+  }
+  if (typeof meta !== 'object' || Array.isArray(meta)) return { source: name, error: 'Front matter must be a mapping' };
+
+  return importItem({ title, content_format: 'markdown', ...meta }, match[2], name);
+}
+
+function readZipEntries(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(err);
+
+      const files = [];
+      let unzipped = 0;
+
+      zip.on('error', reject);
+      zip.on('end', () => resolve(files));
+      zip.on('entry', (entry) => {
+        const name = entry.fileName;
+        const base = path.posix.basename(name);
+        if (name.endsWith('/') || !/\.(?:md|markdown)$/i.test(name) || base.startsWith('.') || name.startsWith('__MACOSX/')) {
+          return zip.readEntry();
+        }
+
+        unzipped += entry.uncompressedSize;
+        if (files.length >= MAX_ZIP_ENTRIES || unzipped > MAX_UNZIPPED_BYTES) {
+          zip.close();
+          return reject(new Error('The zip has too many or too large files'));
+        }
+
+        zip.openReadStream(entry, (e2, stream) => {
+          if (e2) return reject(e2);
+
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            files.push({ name, text: Buffer.concat(chunks).toString('utf8') });
+            zip.readEntry();
+          });
+        });
+      });
+
+      zip.readEntry();
+    });
+  });
+}
+
+function readJsonArchive(buffer) {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8'));
+  } catch (_) {
+    return { error: 'The file is neither a zip nor valid JSON' };
+  }
+
+  // a bare array of posts is fine too
+  const list = Array.isArray(data) ? data : data?.posts;
+  if (!Array.isArray(list)) return { error: 'A JSON import needs a "posts" array' };
+
+  return {
+    items: list.map((post, index) =>
+      post && typeof post === 'object' && !Array.isArray(post)
+        ? importItem(post, post.content, `posts[${index}]`)
+        : { source: `posts[${index}]`, error: 'Each post must be an object' }
+    ),
+  };
+}
+
+// Resolves to { format, items } or { error }. Items that could not be read
+// have { source, error } instead of post fields.
+async function readImport(buffer) {
+  if (buffer.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))) {
+    try {
+      const files = await readZipEntries(buffer);
+      if (!files.length) return { error: 'The zip has no Markdown (.md) files' };
+
+      files.sort((a, b) => a.name.localeCompare(b.name));
+      return { format: 'markdown', items: files.map((file) => parseMarkdownFile(file.name, file.text)) };
+    } catch (err) {
+      return { error: `Could not read the zip: ${err.message}` };
+    }
+  }
+
+  return { format: 'json', ...readJsonArchive(buffer) };
+}
+
+module.exports = { jsonArchiveWriter, markdownZipWriter, readImport };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { sha256 } = require('./media');
+
+// Content-hashed URLs for the stylesheets and scripts in public/: the HTML
+// links /css/style.<hash>.css instead of /css/style.css, and those URLs are
+// cached for a year as immutable. An edited file gets a new hash, so a new
+// URL, on the next start; the HTML itself is always revalidated.
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const ASSET_DIRS = ['css', 'js'];
+const HASH_LENGTH = 10;
+const HASHED_URL = /^\/(?:css|js)\/[\w-]+\.[0-9a-f]{10}\.(?:css|js)$/;
+
+let manifest = null;
+
+// '/css/style.css' -> '/css/style.<hash>.css', built once per process
+function loadManifest() {
+  if (manifest) return manifest;
+
+  manifest = new Map();
+  ASSET_DIRS.forEach((dir) => {
+    fs.readdirSync(path.join(PUBLIC_DIR, dir))
+      .filter((file) => /^[\w-]+\.(?:css|js)$/.test(file))
+      .forEach((file) => {
+        const hash = sha256(fs.readFileSync(path.join(PUBLIC_DIR, dir, file))).slice(0, HASH_LENGTH);
+        const ext = path.extname(file);
+        manifest.set(`/${dir}/${file}`, `/${dir}/${path.basename(file, ext)}.${hash}${ext}`);
+      });
+  });
+  return manifest;
+}
+
+// Points src="/js/..." and href="/css/..." attributes at the hashed URLs
+function rewriteAssetUrls(html) {
+  const urls = loadManifest();
+  return html.replace(/\b(src|href)="(\/(?:css|js)\/[^"]+)"/g, (match, attr, url) =>
+    urls.has(url) ? `${attr}="${urls.get(url)}"` : match
+  );
+}
+
+// Serves the hashed URLs. One with an outdated or unknown hash, e.g. from a
+// page an instance still on the old files rendered during a rolling reload,
+// gets today's file, cached for a minute only, since the name promises other
+// bytes.
+const STALE_MAX_AGE = '1m';
+
+function serveHashedAssets() {
+  let files = null;
+
+  return (req, res, next) => {
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || !HASHED_URL.test(req.path)) return next();
+
+    files = files || new Map([...loadManifest()].map(([plain, hashed]) => [hashed, plain]));
+    const plain = files.get(req.path);
+    if (plain) return res.sendFile(path.join(PUBLIC_DIR, plain), { maxAge: '1y', immutable: true });
+
+    // '/css/style.<old hash>.css' -> '/css/style.css'
+    const current = req.path.replace(/\.[0-9a-f]+(\.\w+)$/, '$1');
+    if (!loadManifest().has(current)) return res.status(404).end();
+    res.sendFile(path.join(PUBLIC_DIR, current), { maxAge: STALE_MAX_AGE });
+  };
+}
+
+module.exports = { rewriteAssetUrls, serveHashedAssets };
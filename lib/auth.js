@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, options, (err, key) => {
+      if (err) return reject(err);
+      resolve(key);
+    });
+  });
+}
+
+// "scrypt$N$r$p$salt$hash" (salt and hash base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// API tokens are long random strings, so a plain SHA-256 is enough to store them
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// "value.signature" using HMAC-SHA256
+function signValue(value, secret) {
+  const signature = crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  return `${value}.${signature}`;
+}
+
+// Returns the original value, or null when the signature does not match
+function unsignValue(signed, secret) {
+  const str = String(signed || '');
+  const dot = str.lastIndexOf('.');
+  if (dot <= 0) return null;
+
+  const value = str.slice(0, dot);
+  const expected = Buffer.from(signValue(value, secret));
+  const actual = Buffer.from(str);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+
+  String(header || '').split(';').forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq === -1) return;
+
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) return;
+
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (_) {
+      // ignore malformed values
+    }
+  });
+
+  return cookies;
+}
+
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (options.maxAge != null) parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.httpOnly) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  if (options.sameSite) parts.push(`SameSite=${options.sameSite}`);
+
+  return parts.join('; ');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  randomToken,
+  hashToken,
+  signValue,
+  unsignValue,
+  parseCookies,
+  serializeCookie,
+};
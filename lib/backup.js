@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { BUSY_TIMEOUT_MS } = require('./db');
+
+// Hot backups of data/blog.db. A snapshot is written with VACUUM INTO over
+// its own read-only connection, so the app keeps serving (and writing) while
+// it runs, then passes PRAGMA integrity_check before it gets its final name;
+// a snapshot that fails the check is deleted. Rotation keeps the newest
+// BACKUP_KEEP snapshots and drops those older than BACKUP_RETENTION_DAYS,
+// but never the newest one.
+//
+// Restoring copies a snapshot back with SQLite's online backup API, which
+// takes the database's own locks: a running app sees either the old or the
+// new content, never a mix. The data/maintenance flag file makes app.js
+// refuse writes meanwhile (see backup.js for the command).
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DB_PATH = path.join(DATA_DIR, 'blog.db');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const MAINTENANCE_FLAG = path.join(DATA_DIR, 'maintenance');
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 7;
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS) || 30;
+
+// blog-2024-05-01T09-30-00-000Z.db: sorts by time and carries it
+const FILE_PATTERN = /^blog-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.db$/;
+
+function backupName(date) {
+  return `blog-${date.toISOString().replace(/[:.]/g, '-')}.db`;
+}
+
+function backupDate(name) {
+  const match = FILE_PATTERN.exec(name);
+  if (!match) return null;
+
+  const [, day, hours, minutes, seconds, ms] = match;
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${ms}Z`);
+}
+
+function describe(name, stat) {
+  return { name, size: stat.size, created_at: backupDate(name).toISOString() };
+}
+
+// Snapshots in `dir`, newest first
+function listBackups(dir, callback) {
+  fs.readdir(dir, (err, files) => {
+    if (err?.code === 'ENOENT') return callback(null, []);
+    if (err) return callback(err);
+
+    const names = files.filter((file) => FILE_PATTERN.test(file)).sort().reverse();
+    const backups = [];
+
+    const next = (i) => {
+      if (i >= names.length) return callback(null, backups);
+
+      fs.stat(path.join(dir, names[i]), (e2, stat) => {
+        // removed by a concurrent prune: just leave it out
+        if (!e2) backups.push(describe(names[i], stat));
+        next(i + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+// callback(err, problems): problems is null for a sound database, otherwise
+// what PRAGMA integrity_check reported. Read-write only because FTS5 checks
+// its index through a write; nothing is changed.
+function checkIntegrity(file, callback) {
+  const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => {
+    if (err) return callback(err);
+
+    db.all('PRAGMA integrity_check', (e2, rows) => {
+      db.close(() => {
+        if (e2) return callback(e2);
+
+        const messages = rows.map((row) => row.integrity_check);
+        callback(null, messages.length === 1 && messages[0] === 'ok' ? null : messages.join('; '));
+      });
+    });
+  });
+}
+
+function createBackup({ dbPath = DB_PATH, dir = BACKUP_DIR } = {}, callback) {
+  fs.mkdir(dir, { recursive: true }, (err) => {
+    if (err) return callback(err);
+
+    const name = backupName(new Date());
+    const file = path.join(dir, name);
+    const partial = `${file}.partial`;
+
+    const fail = (error) => fs.unlink(partial, () => callback(error));
+
+    const source = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (e2) => {
+      if (e2) return callback(e2);
+
+      // the app may hold the write lock for a moment
+      source.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      source.run('VACUUM INTO ?', [partial], (e3) => {
+        source.close(() => {
+          if (e3) return fail(e3);
+
+          checkIntegrity(partial, (e4, problems) => {
+            if (e4) return fail(e4);
+            if (problems) return fail(new Error(`Snapshot failed the integrity check: ${problems}`));
+
+            fs.rename(partial, file, (e5) => {
+              if (e5) return fail(e5);
+
+              fs.stat(file, (e6, stat) => callback(e6, e6 ? undefined : describe(name, stat)));
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Deletes snapshots beyond the rotation settings; callback(err, removedNames)
+function pruneBackups({ dir = BACKUP_DIR, keep = BACKUP_KEEP, retentionDays = BACKUP_RETENTION_DAYS } = {}, callback) {
+  listBackups(dir, (err, backups) => {
+    if (err) return callback(err);
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expired = backups.filter((backup, i) => i > 0 && (i >= keep || Date.parse(backup.created_at) < cutoff));
+    const removed = [];
+
+    const next = (i) => {
+      if (i >= expired.length) return callback(null, removed);
+
+      fs.unlink(path.join(dir, expired[i].name), (e2) => {
+        if (e2 && e2.code !== 'ENOENT') return callback(e2);
+        removed.push(expired[i].name);
+        next(i + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+// Overwrites the database at dbPath with the snapshot `file`, in one step.
+// Check the snapshot first; this does not.
+function restoreBackup({ dbPath = DB_PATH, file }, callback) {
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+    if (err) return callback(err);
+
+    db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+    const done = (error) => db.close((e2) => callback(error || e2 || null));
+
+    // false: copy from the file into `db`, not the other way round
+    const backup = db.backup(file, 'main', 'main', false, (e2) => {
+      if (e2) return done(e2);
+
+      backup.step(-1, (e3) => {
+        if (e3) return backup.finish(() => done(e3));
+        backup.finish(done);
+      });
+    });
+  });
+}
+
+function isMaintenance() {
+  return fs.existsSync(MAINTENANCE_FLAG);
+}
+
+function setMaintenance(on) {
+  if (on) fs.writeFileSync(MAINTENANCE_FLAG, `${new Date().toISOString()}\n`);
+  else fs.rmSync(MAINTENANCE_FLAG, { force: true });
+}
+
+module.exports = {
+  DB_PATH,
+  BACKUP_DIR,
+  BACKUP_KEEP,
+  BACKUP_RETENTION_DAYS,
+  listBackups,
+  checkIntegrity,
+  createBackup,
+  pruneBackups,
+  restoreBackup,
+  isMaintenance,
+  setMaintenance,
+};
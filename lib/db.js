@@ -0,0 +1,38 @@
+// Connection settings for data/blog.db, shared by every process that opens
+// it: the app (possibly several PM2 instances), cron.js and the command-line
+// tools. WAL lets readers carry on while one connection writes; the busy
+// timeout makes a writer wait for the lock instead of failing at once.
+
+const BUSY_TIMEOUT_MS = Number(process.env.DB_BUSY_TIMEOUT_MS) || 5000;
+const BUSY_RETRIES = 3;
+
+function configureConnection(db, callback) {
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  db.exec(
+    `
+    PRAGMA journal_mode = WAL;
+    PRAGMA synchronous = NORMAL;
+    PRAGMA foreign_keys = ON;
+    `,
+    callback
+  );
+}
+
+function isBusy(err) {
+  return err?.code === 'SQLITE_BUSY' || err?.code === 'SQLITE_LOCKED';
+}
+
+// Runs fn() (promise-returning) again, with a growing pause, when it fails
+// because the database stayed locked past the busy timeout
+async function retryBusy(fn, retries = BUSY_RETRIES) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isBusy(err) || attempt >= retries) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt + Math.random() * 100));
+    }
+  }
+}
+
+module.exports = { BUSY_TIMEOUT_MS, configureConnection, isBusy, retryBusy };
@@ -0,0 +1,100 @@
+// Word-level diff (Myers' O((N+M)D) algorithm) used by the revision history.
+
+// Beyond this many edits the trace gets large (O(D^2) memory); such texts are
+// rewrites anyway, so they are reported as one delete + one insert.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Words, runs of whitespace and single punctuation characters
+function tokenize(text) {
+  return String(text ?? '').match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+// Returns the edit script as [{ type: 'equal' | 'insert' | 'delete', token }],
+// or null when more than MAX_EDIT_DISTANCE edits are needed
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // keep only the diagonals reachable in d-1 steps (plus neighbours)
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+
+  return null;
+}
+
+function replaceAll(a, b) {
+  return [
+    ...a.map((token) => ({ type: 'delete', token })),
+    ...b.map((token) => ({ type: 'insert', token })),
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const at = (k) => prev[k + d + 1];
+    const k = x - y;
+
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'insert', token: b[y - 1] });
+      else ops.push({ type: 'delete', token: a[x - 1] });
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+// Diffs two strings word by word and merges neighbouring tokens of the same
+// type: [{ type: 'equal' | 'insert' | 'delete', text }]
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const chunks = [];
+
+  (myers(a, b) || replaceAll(a, b)).forEach(({ type, token }) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) last.text += token;
+    else chunks.push({ type, text: token });
+  });
+
+  return chunks;
+}
+
+module.exports = { diffWords };
@@ -0,0 +1,110 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for /feed.xml, /atom.xml
+// and /feed.json. Posts need id, slug, title, content_html, created_at,
+// updated_at and tags; `site` is { title, description, baseUrl }.
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SQLite "YYYY-MM-DD HH:MM:SS" (UTC) -> Date
+function toDate(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+function postUrl(site, post) {
+  return `${site.baseUrl}/posts/${encodeURIComponent(post.slug)}`;
+}
+
+// Newest updated_at (or published_at: scheduled posts go live without an
+// edit), used for the feed-level date and Last-Modified
+function lastUpdated(posts) {
+  return posts.reduce((latest, post) => {
+    [post.updated_at, post.published_at].filter(Boolean).forEach((value) => {
+      const date = toDate(value);
+      if (!latest || date > latest) latest = date;
+    });
+    return latest;
+  }, null) || new Date(0);
+}
+
+function renderRss(site, posts) {
+  const items = posts.map((post) => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(postUrl(site, post))}</link>
+      <guid isPermaLink="false">${escapeXml(`${site.baseUrl}/posts/${post.id}`)}</guid>
+      <pubDate>${toDate(post.updated_at).toUTCString()}</pubDate>
+      ${(post.tags || []).map((tag) => `<category>${escapeXml(tag)}</category>`).join('')}
+      <description>${escapeXml(post.content_html)}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(site.title)}</title>
+    <link>${escapeXml(`${site.baseUrl}/`)}</link>
+    <description>${escapeXml(site.description)}</description>
+    <atom:link href="${escapeXml(`${site.baseUrl}/feed.xml`)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${lastUpdated(posts).toUTCString()}</lastBuildDate>${items.join('')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(site, posts) {
+  const entries = posts.map((post) => `
+  <entry>
+    <id>${escapeXml(`${site.baseUrl}/posts/${post.id}`)}</id>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(postUrl(site, post))}" />
+    <published>${toDate(post.created_at).toISOString()}</published>
+    <updated>${toDate(post.updated_at).toISOString()}</updated>
+    ${post.author_username ? `<author><name>${escapeXml(post.author_username)}</name></author>` : ''}
+    ${(post.tags || []).map((tag) => `<category term="${escapeXml(tag)}" />`).join('')}
+    <content type="html">${escapeXml(post.content_html)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${site.baseUrl}/`)}</id>
+  <title>${escapeXml(site.title)}</title>
+  <subtitle>${escapeXml(site.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${site.baseUrl}/`)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${site.baseUrl}/atom.xml`)}" />
+  <updated>${lastUpdated(posts).toISOString()}</updated>
+  <author><name>${escapeXml(site.title)}</name></author>${entries.join('')}
+</feed>
+`;
+}
+
+// https://www.jsonfeed.org/version/1.1/
+function renderJsonFeed(site, posts) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    description: site.description,
+    home_page_url: `${site.baseUrl}/`,
+    feed_url: `${site.baseUrl}/feed.json`,
+    items: posts.map((post) => ({
+      id: `${site.baseUrl}/posts/${post.id}`,
+      url: postUrl(site, post),
+      title: post.title,
+      content_html: post.content_html,
+      date_published: toDate(post.created_at).toISOString(),
+      date_modified: toDate(post.updated_at).toISOString(),
+      ...(post.author_username ? { authors: [{ name: post.author_username }] } : {}),
+      tags: post.tags || [],
+    })),
+  };
+}
+
+module.exports = { renderRss, renderAtom, renderJsonFeed, lastUpdated, toDate };
@@ -0,0 +1,15 @@
+// Structured logs: one JSON object per line, on stdout, or stderr for
+// errors, which is where PM2 collects them. Every line has time, level and
+// msg; fields add the rest, e.g. the request fields of the access log.
+
+function log(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+module.exports = {
+  log,
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields),
+};
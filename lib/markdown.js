@@ -0,0 +1,64 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+// Post bodies are stored as source; content_html is rendered from it on write.
+const { CONTENT_FORMATS } = require('../public/js/schema');
+
+const marked = new Marked({ gfm: true, breaks: true });
+
+// Everything Markdown can produce that is safe to show; raw HTML in the
+// source goes through the same allowlist, anything else is dropped.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  // fenced code blocks keep their language for client-side highlighting
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        ...attribs,
+        rel: 'nofollow noopener noreferrer',
+        ...(/^https?:/i.test(attribs.href || '') ? { target: '_blank' } : {}),
+      },
+    }),
+  },
+};
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderMarkdown(source) {
+  return sanitizeHtml(marked.parse(String(source ?? '')), SANITIZE_OPTIONS);
+}
+
+// Plain text keeps the old look: escaped, with line breaks preserved
+function renderPlain(source) {
+  return escapeHtml(source).replace(/\r?\n/g, '<br>');
+}
+
+function renderContent(source, format) {
+  return format === 'markdown' ? renderMarkdown(source) : renderPlain(source);
+}
+
+module.exports = { CONTENT_FORMATS, escapeHtml, renderContent, renderMarkdown };
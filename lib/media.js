@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Uploads are identified by their bytes, not by what the browser claims:
+// the type comes from the file signature and the name from its SHA-256.
+// SVG is deliberately missing (it can carry scripts).
+const MEDIA_TYPES = [
+  { mime: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/gif', ext: 'gif', test: (b) => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+  { mime: 'image/webp', ext: 'webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mime: 'application/pdf', ext: 'pdf', test: (b) => b.toString('latin1', 0, 5) === '%PDF-' },
+];
+
+const MEDIA_MIME_TYPES = MEDIA_TYPES.map((type) => type.mime);
+
+// { mime, ext } or null for anything not on the list
+function sniffType(buffer) {
+  const type = MEDIA_TYPES.find((candidate) => buffer.length >= 12 && candidate.test(buffer));
+  return type ? { mime: type.mime, ext: type.ext } : null;
+}
+
+function jpegSize(b) {
+  let offset = 2;
+
+  while (offset + 9 < b.length) {
+    if (b[offset] !== 0xff) return null;
+
+    const marker = b[offset + 1];
+    const length = b.readUInt16BE(offset + 2);
+
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: b.readUInt16BE(offset + 7), height: b.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function webpSize(b) {
+  const chunk = b.toString('latin1', 12, 16);
+
+  if (chunk === 'VP8 ' && b.length >= 30) {
+    return { width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && b.length >= 25) {
+    const bits = b.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && b.length >= 30) {
+    return { width: b.readUIntLE(24, 3) + 1, height: b.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Pixel dimensions read from the image header: { width, height } or null
+function imageSize(buffer, mime) {
+  try {
+    if (mime === 'image/png' && buffer.length >= 24) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mime === 'image/gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (mime === 'image/jpeg') return jpegSize(buffer);
+    if (mime === 'image/webp') return webpSize(buffer);
+  } catch (_) {
+    // truncated header
+  }
+  return null;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = { MEDIA_MIME_TYPES, sniffType, imageSize, sha256 };
@@ -0,0 +1,97 @@
+// A small Prometheus registry: counters, histograms and gauges with labels,
+// rendered in the text exposition format (version 0.0.4) for GET /metrics.
+// Gauges are collected when the metrics are rendered, so they may query the
+// database; counters and histograms live in memory and start at zero with
+// the process.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// seconds; the upper ends of the histogram buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// { method: 'GET' } -> '{method="GET"}'
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, lines) {
+    if (metrics.some((metric) => metric.name === name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.push({ name, help, type, lines });
+  }
+
+  function counter(name, help) {
+    const values = new Map();
+    register(name, help, 'counter', () => [...values].map(([labels, value]) => `${name}${labels} ${formatValue(value)}`));
+
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) || 0) + by);
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    register(name, help, 'histogram', () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${labelText(labels)} ${formatValue(sum)}`,
+        `${name}_count${labelText(labels)} ${count}`,
+      ])
+    );
+
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+
+        // bucket counts are cumulative: every bucket at or above the value
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  // collect() resolves to [{ labels, value }]
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', async () =>
+      (await collect()).map(({ labels = {}, value }) => `${name}${labelText(labels)} ${formatValue(value)}`)
+    );
+  }
+
+  async function render() {
+    const blocks = await Promise.all(metrics.map(async ({ name, help, type, lines }) => {
+      const body = await lines();
+      return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`, ...body].join('\n');
+    }));
+    return `${blocks.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createRegistry };
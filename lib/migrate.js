@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ is named
+// "<version>_<name>.js" and exports { up(db, callback), down(db, callback) };
+// leave `down` out when a migration cannot be undone. Applied versions are
+// recorded in schema_migrations. Every migration runs in its own transaction
+// with foreign keys switched off (SQLite's recommended way to change a schema)
+// and is checked with PRAGMA foreign_key_check before it commits.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function') throw new Error(`Migration ${file} has no up()`);
+      return { version: Number(version), name, file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function ensureMigrationsTable(db, callback) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `, callback);
+}
+
+function appliedVersions(db, callback) {
+  ensureMigrationsTable(db, (err) => {
+    if (err) return callback(err);
+
+    db.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`, callback);
+  });
+}
+
+// Runs fn(db, cb) between BEGIN IMMEDIATE and COMMIT; rolls back on any
+// error. IMMEDIATE: other processes wait until the migration is done.
+function inTransaction(db, fn, callback) {
+  const restoreForeignKeys = (err) => db.run('PRAGMA foreign_keys = ON', () => callback(err));
+
+  db.run('PRAGMA foreign_keys = OFF', (err) => {
+    if (err) return callback(err);
+
+    db.run('BEGIN IMMEDIATE', (e2) => {
+      if (e2) return restoreForeignKeys(e2);
+
+      const rollback = (cause) => db.run('ROLLBACK', () => restoreForeignKeys(cause));
+
+      fn(db, (e3) => {
+        if (e3) return rollback(e3);
+
+        db.all('PRAGMA foreign_key_check', (e4, violations) => {
+          if (e4) return rollback(e4);
+          if (violations.length) {
+            return rollback(new Error(`foreign key check failed on table ${violations[0].table}`));
+          }
+
+          db.run('COMMIT', (e5) => (e5 ? rollback(e5) : restoreForeignKeys(null)));
+        });
+      });
+    });
+  });
+}
+
+function runEach(items, fn, callback) {
+  const [item, ...rest] = items;
+  if (!item) return callback(null);
+
+  fn(item, (err) => {
+    if (err) return callback(err);
+    runEach(rest, fn, callback);
+  });
+}
+
+function describe(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Applies pending migrations up to `to` (default: all).
+// callback(err, appliedMigrations)
+function migrateUp(db, { to = Infinity, log = () => {} } = {}, callback) {
+  let migrations;
+  try {
+    migrations = loadMigrations();
+  } catch (err) {
+    return callback(err);
+  }
+
+  appliedVersions(db, (err, rows) => {
+    if (err) return callback(err);
+
+    const applied = new Set(rows.map((row) => row.version));
+    const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+
+    const appliedNow = [];
+
+    runEach(
+      pending,
+      (migration, next) => {
+        let skipped = false;
+
+        inTransaction(
+          db,
+          (tx, finish) => {
+            // another app instance starting at the same time may have got
+            // there first; the lock makes this check reliable
+            tx.get(`SELECT 1 FROM schema_migrations WHERE version = ?`, [migration.version], (e1, row) => {
+              if (e1) return finish(e1);
+              if (row) {
+                skipped = true;
+                return finish(null);
+              }
+
+              migration.up(tx, (e2) => {
+                if (e2) return finish(e2);
+                tx.run(
+                  `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+                  [migration.version, migration.name],
+                  finish
+                );
+              });
+            });
+          },
+          (e3) => {
+            if (e3) return next(new Error(`Migration ${describe(migration)} failed: ${e3.message}`));
+            if (!skipped) {
+              log(`Applied ${describe(migration)}`);
+              appliedNow.push(migration);
+            }
+            next(null);
+          }
+        );
+      },
+      (e4) => callback(e4, appliedNow)
+    );
+  });
+}
+
+// Reverts the last `steps` applied migrations (newest first)
+function migrateDown(db, { steps = 1, log = () => {} } = {}, callback) {
+  let migrations;
+  try {
+    migrations = loadMigrations();
+  } catch (err) {
+    return callback(err);
+  }
+
+  appliedVersions(db, (err, rows) => {
+    if (err) return callback(err);
+
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const targets = rows.slice(-steps).reverse();
+
+    // refuse up front rather than stopping halfway through the steps
+    const blocked = targets.find((row) => typeof byVersion.get(row.version)?.down !== 'function');
+    if (blocked) {
+      const reason = byVersion.has(blocked.version) ? 'cannot be rolled back' : 'has no migration file';
+      return callback(new Error(`Migration ${describe(blocked)} ${reason}`), []);
+    }
+
+    runEach(
+      targets,
+      (row, next) => {
+        const migration = byVersion.get(row.version);
+
+        inTransaction(
+          db,
+          (tx, done) => {
+            migration.down(tx, (e2) => {
+              if (e2) return done(e2);
+              tx.run(`DELETE FROM schema_migrations WHERE version = ?`, [migration.version], done);
+            });
+          },
+          (e3) => {
+            if (e3) return next(new Error(`Rollback of ${describe(migration)} failed: ${e3.message}`));
+            log(`Reverted ${describe(migration)}`);
+            next(null);
+          }
+        );
+      },
+      (e4) => callback(e4, targets)
+    );
+  });
+}
+
+// callback(err, [{ version, name, applied_at | null, missing }])
+function migrationStatus(db, callback) {
+  let migrations;
+  try {
+    migrations = loadMigrations();
+  } catch (err) {
+    return callback(err);
+  }
+
+  appliedVersions(db, (err, rows) => {
+    if (err) return callback(err);
+
+    const applied = new Map(rows.map((row) => [row.version, row]));
+    const known = new Set(migrations.map((m) => m.version));
+
+    const status = [
+      ...migrations.map((m) => ({
+        version: m.version,
+        name: m.name,
+        applied_at: applied.get(m.version)?.applied_at ?? null,
+        reversible: typeof m.down === 'function',
+        missing: false,
+      })),
+      // applied by a newer checkout, file not present here
+      ...rows
+        .filter((row) => !known.has(row.version))
+        .map((row) => ({ ...row, reversible: false, missing: true })),
+    ];
+
+    callback(null, status.sort((a, b) => a.version - b.version));
+  });
+}
+
+// Adds each { name: definition } column the table does not have yet. The
+// first migrations use it so databases created before migrations existed
+// (by the old boot-time setup) can be brought under version control.
+function addMissingColumns(db, table, columns, callback) {
+  db.all(`PRAGMA table_info(${table})`, (err, existing) => {
+    if (err) return callback(err);
+
+    const names = new Set(existing.map((col) => col.name));
+    const missing = Object.entries(columns).filter(([name]) => !names.has(name));
+
+    runEach(
+      missing,
+      ([name, definition], next) => db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, next),
+      callback
+    );
+  });
+}
+
+// Drops columns (and first the indexes named in `indexes`)
+function dropColumns(db, table, columns, indexes, callback) {
+  runEach(
+    indexes,
+    (index, next) => db.run(`DROP INDEX IF EXISTS ${index}`, next),
+    (err) => {
+      if (err) return callback(err);
+      runEach(columns, (column, next) => db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`, next), callback);
+    }
+  );
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  addMissingColumns,
+  dropColumns,
+  runEach,
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./markdown');
+const { rewriteAssetUrls } = require('./assets');
+
+// Server-rendered pages reuse public/index.html: the <head> gets per-page
+// title/meta tags and #posts-container gets the content, which the MVC
+// scripts replace once they have loaded. Script and stylesheet links point
+// at content-hashed URLs (see lib/assets.js).
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'public', 'index.html');
+const POSTS_PLACEHOLDER = '<!-- Posts will be rendered here by JavaScript -->';
+const DESCRIPTION_LENGTH = 160;
+
+let template = null;
+
+function loadTemplate() {
+  if (!template) template = rewriteAssetUrls(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  return template;
+}
+
+// The page as-is, for routes the MVC scripts render entirely
+function renderShell() {
+  return loadTemplate();
+}
+
+// Plain-text summary of rendered HTML for meta descriptions
+function summarize(html, length = DESCRIPTION_LENGTH) {
+  const text = String(html ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function renderHead({ title, description, canonical, type, noindex }) {
+  const tags = [
+    description && `<meta name="description" content="${escapeHtml(description)}">`,
+    noindex && '<meta name="robots" content="noindex">',
+    canonical && `<link rel="canonical" href="${escapeHtml(canonical)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    description && `<meta property="og:description" content="${escapeHtml(description)}">`,
+    canonical && `<meta property="og:url" content="${escapeHtml(canonical)}">`,
+    '<meta name="twitter:card" content="summary">',
+  ];
+
+  return tags.filter(Boolean).map((tag) => `    ${tag}`).join('\n');
+}
+
+// page: { title, description, canonical, type, noindex, body }
+function renderPage(page) {
+  const head = renderHead({ type: 'website', ...page });
+
+  return loadTemplate()
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(page.title)}</title>`)
+    .replace('</head>', () => `${head}\n</head>`)
+    .replace(POSTS_PLACEHOLDER, () => page.body || '');
+}
+
+function renderTagList(tags) {
+  if (!tags || !tags.length) return '';
+  return `<div class="post-tags">${tags
+    .map((tag) => `<span class="tag-chip">#${escapeHtml(tag)}</span>`)
+    .join('')}</div>`;
+}
+
+function renderPostArticle(post) {
+  const contentClass = post.content_format === 'markdown' ? 'post-content markdown-body' : 'post-content';
+  const date = post.published_at || post.created_at;
+
+  return `
+    <article class="post-card post-page" data-post-id="${post.id}">
+      <div class="post-header">
+        <h2 class="post-title">${escapeHtml(post.title)}</h2>
+        <div class="post-meta">
+          <time class="post-date" datetime="${escapeHtml(date)}Z">${escapeHtml(String(date).slice(0, 10))}</time>
+        </div>
+      </div>
+      <div class="${contentClass}">${post.content_html ?? ''}</div>
+      ${renderTagList(post.tags)}
+    </article>
+  `;
+}
+
+function renderPostList(posts) {
+  if (!posts.length) return '<div class="no-posts"><h3>No blog posts yet</h3></div>';
+
+  return `
+    <div class="posts-list">
+      ${posts.map((post) => `
+        <article class="post-card" data-post-id="${post.id}">
+          <div class="post-header">
+            <h2 class="post-title"><a href="/posts/${encodeURIComponent(post.slug)}">${escapeHtml(post.title)}</a></h2>
+          </div>
+          <p class="post-content">${escapeHtml(summarize(post.content_html))}</p>
+        </article>
+      `).join('')}
+    </div>
+  `;
+}
+
+// sitemap.org format; `posts` need slug and updated_at
+function renderSitemap(baseUrl, posts) {
+  const url = (loc, lastmod) =>
+    `  <url><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${escapeHtml(lastmod.slice(0, 10))}</lastmod>` : ''}</url>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    url(`${baseUrl}/`, posts[0]?.updated_at),
+    ...posts.map((post) => url(`${baseUrl}/posts/${encodeURIComponent(post.slug)}`, post.updated_at)),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+function renderRobots(baseUrl) {
+  return ['User-agent: *', 'Disallow: /api/', '', `Sitemap: ${baseUrl}/sitemap.xml`, ''].join('\n');
+}
+
+module.exports = {
+  summarize,
+  renderShell,
+  renderPage,
+  renderPostArticle,
+  renderPostList,
+  renderSitemap,
+  renderRobots,
+};
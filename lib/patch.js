@@ -0,0 +1,163 @@
+// JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) over plain JSON
+// values. Both return { value } with a patched copy or { error }; a JSON
+// Patch whose "test" operation does not hold also sets failedTest, which
+// callers answer with 409 instead of 400. The document passed in is never
+// modified.
+
+const PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+class PatchError extends Error {}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/* Merge patch */
+// null removes a member, objects merge recursively, anything else replaces
+function mergePatch(target, patch) {
+  if (!isObject(patch)) return patch;
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = mergePatch(result[key], value);
+  });
+  return result;
+}
+
+function applyMergePatch(document, patch) {
+  return { value: structuredClone(mergePatch(document, patch)) };
+}
+
+/* JSON Patch */
+// "/tags/0" -> ['tags', '0']; "" is the whole document
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new PatchError(`"${pointer}" is not a JSON pointer`);
+  }
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// "-" (one past the end) is only a valid target for add
+function arrayIndex(array, token, forAdd) {
+  if (forAdd && token === '-') return array.length;
+  if (!/^(?:0|[1-9]\d*)$/.test(token)) throw new PatchError(`"${token}" is not an array index`);
+
+  const index = Number(token);
+  if (index > (forAdd ? array.length : array.length - 1)) throw new PatchError(`Array index ${index} is out of range`);
+  return index;
+}
+
+// The container holding the last token of `tokens`
+function parentOf(document, tokens, pointer) {
+  let node = document;
+  tokens.slice(0, -1).forEach((token) => {
+    if (Array.isArray(node)) node = node[arrayIndex(node, token, false)];
+    else if (isObject(node) && Object.hasOwn(node, token)) node = node[token];
+    else throw new PatchError(`Path ${pointer} does not exist`);
+  });
+
+  if (!Array.isArray(node) && !isObject(node)) throw new PatchError(`Path ${pointer} does not exist`);
+  return node;
+}
+
+function getValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return document;
+
+  const parent = parentOf(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, false)];
+  if (!Object.hasOwn(parent, key)) throw new PatchError(`Path ${pointer} does not exist`);
+  return parent[key];
+}
+
+// Each returns the (possibly replaced) document
+function addValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return value;
+
+  const parent = parentOf(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, true), 0, value);
+  else parent[key] = value;
+  return document;
+}
+
+function removeValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw new PatchError('The whole document cannot be removed');
+
+  getValue(document, pointer);
+  const parent = parentOf(document, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, false), 1);
+  else delete parent[key];
+  return document;
+}
+
+function checkOperation(operation, index) {
+  if (!isObject(operation)) throw new PatchError(`Operation ${index} must be an object`);
+  if (!PATCH_OPS.includes(operation.op)) {
+    throw new PatchError(`Operation ${index}: op must be one of: ${PATCH_OPS.join(', ')}`);
+  }
+  if (typeof operation.path !== 'string') throw new PatchError(`Operation ${index}: path is required`);
+  if (['add', 'replace', 'test'].includes(operation.op) && !Object.hasOwn(operation, 'value')) {
+    throw new PatchError(`Operation ${index}: value is required`);
+  }
+  if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+    throw new PatchError(`Operation ${index}: from is required`);
+  }
+}
+
+function applyOperation(document, { op, path, from, value }) {
+  switch (op) {
+    case 'add':
+      return addValue(document, path, structuredClone(value));
+    case 'remove':
+      return removeValue(document, path);
+    case 'replace':
+      getValue(document, path);
+      return addValue(path ? removeValue(document, path) : document, path, structuredClone(value));
+    case 'move': {
+      if (path.startsWith(`${from}/`)) throw new PatchError(`Cannot move ${from} into itself`);
+      const moved = getValue(document, from);
+      return addValue(removeValue(document, from), path, moved);
+    }
+    case 'copy':
+      return addValue(document, path, structuredClone(getValue(document, from)));
+    default: {
+      const failed = new PatchError(`Test failed: ${path} does not have the expected value`);
+      failed.failedTest = true;
+      if (!isEqual(getValue(document, path), value)) throw failed;
+      return document;
+    }
+  }
+}
+
+// Operations apply in order to a copy; if any fails, none of them count
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) return { error: 'A JSON Patch must be an array of operations' };
+
+  try {
+    operations.forEach(checkOperation);
+    return { value: operations.reduce(applyOperation, structuredClone(document)) };
+  } catch (err) {
+    if (!(err instanceof PatchError)) throw err;
+    return { error: err.message, failedTest: !!err.failedTest };
+  }
+}
+
+module.exports = { applyMergePatch, applyJsonPatch, isEqual };
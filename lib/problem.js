@@ -0,0 +1,55 @@
+const http = require('http');
+
+// API errors as RFC 7807 problem details (Content-Type application/problem+json):
+//
+//   { "type": "about:blank", "title": "Bad Request", "status": 400,
+//     "detail": "Title must be at least 3 characters long",
+//     "code": "validation_failed",
+//     "errors": [{ "field": "title", "code": "too_short",
+//                  "message": "Title must be at least 3 characters long" }] }
+//
+// `code` is stable and meant for programs; `detail` is for people and may
+// change. Without a code of its own a problem gets the one for its status
+// (STATUS_CODES below). Validation problems list one entry per invalid field
+// in `errors` (codes in public/js/schema.js). Other members carry whatever
+// the problem is about, e.g. `current` on a 412.
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  424: 'failed_dependency',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable',
+};
+
+// The problem document; `members` may name a code and add members
+function problem(status, detail, { code, ...members } = {}) {
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    code: code || STATUS_CODES[status] || 'error',
+    ...members,
+  };
+}
+
+function sendProblem(res, status, detail, members) {
+  res.status(status).type(PROBLEM_CONTENT_TYPE).json(problem(status, detail, members));
+}
+
+// errors: [{ field, code, message }], as validatePost() returns them
+function sendValidationProblem(res, errors) {
+  sendProblem(res, 400, errors.map((error) => error.message).join('. '), { code: 'validation_failed', errors });
+}
+
+module.exports = { PROBLEM_CONTENT_TYPE, problem, sendProblem, sendValidationProblem };
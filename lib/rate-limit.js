@@ -0,0 +1,188 @@
+const logger = require('./logger');
+const { sendProblem } = require('./problem');
+
+// Token-bucket rate limiting for the API. Every limited route has a name and
+// two budgets, one per client IP and one per signed-in user: a budget is
+// { burst, per_minute }, a bucket of `burst` tokens that refills at
+// `per_minute`. Each request takes a token from its user's bucket when signed
+// in, then from its IP's bucket; an empty bucket answers 429, and a request
+// its user's bucket refuses costs its IP nothing. Buckets are kept per
+// route, so creating posts does not eat into the delete budget.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+// (seconds until the bucket is full again) for the tighter of the two
+// buckets, RateLimit-Policy, and Retry-After on a 429.
+//
+// RateLimitStore: where the buckets live. The memory store is enough for one
+// process; instances running side by side share the SQLite store, or each
+// would allow the whole budget on its own. A store implements:
+//
+//   take(key, { burst, perSecond }, now)  resolves to { allowed, remaining,
+//                                         retryAfter, reset }; remaining is
+//                                         whole tokens left, retryAfter and
+//                                         reset are seconds
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryRateLimitStore({ maxKeys = 100000 } = {}) {
+  const buckets = new Map();
+
+  const refill = (bucket, { burst, perSecond }, now) =>
+    Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+
+  // full buckets carry no information, so they can go
+  const sweep = () => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (refill(bucket, bucket.budget, now) >= bucket.budget.burst) buckets.delete(key);
+    });
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async take(key, budget, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        // a flood of new keys (e.g. spoofed IPs) must not grow memory forever
+        if (buckets.size >= maxKeys) sweep();
+        bucket = { tokens: budget.burst, updatedAt: now, budget };
+        buckets.set(key, bucket);
+      }
+
+      bucket.tokens = refill(bucket, budget, now);
+      bucket.updatedAt = now;
+      bucket.budget = budget;
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+
+      return takeResult(allowed, bucket.tokens, budget);
+    },
+  };
+}
+
+// What take() resolves to, from the tokens left after taking
+function takeResult(allowed, tokens, { burst, perSecond }) {
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / perSecond),
+    reset: Math.ceil((burst - tokens) / perSecond),
+  };
+}
+
+// The buckets in the rate_limit_buckets table (migrations/015_rate_limits.js).
+// A take() is one upsert, so concurrent instances never both spend the last
+// token. A new key starts from a full bucket; in SET, the columns still hold
+// the row's old values.
+const REFILLED = 'MIN($burst, tokens + ($now - updated_at) / 1000.0 * $perSecond)';
+const taken = (tokens) => `CASE WHEN ${tokens} >= 1 THEN ${tokens} - 1 ELSE ${tokens} END`;
+const fullAt = (tokens) => `$now + ($burst - ${taken(tokens)}) / $perSecond * 1000`;
+
+const TAKE_SQL = `
+  INSERT INTO rate_limit_buckets (key, tokens, allowed, updated_at, full_at)
+  VALUES ($key, ${taken('$burst')}, $burst >= 1, $now, ${fullAt('$burst')})
+  ON CONFLICT(key) DO UPDATE SET
+    tokens = ${taken(REFILLED)},
+    allowed = ${REFILLED} >= 1,
+    updated_at = $now,
+    full_at = ${fullAt(REFILLED)}
+  RETURNING tokens, allowed
+`;
+
+function createSqliteRateLimitStore(db) {
+  // full buckets carry no information, so they can go
+  const sweep = () => {
+    db.run(`DELETE FROM rate_limit_buckets WHERE full_at <= ?`, [Date.now()], (err) => {
+      if (err) logger.warn('Rate limit sweep failed', { error: err.message });
+    });
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    take(key, budget, now = Date.now()) {
+      const params = { $key: key, $burst: budget.burst, $perSecond: budget.perSecond, $now: now };
+      return new Promise((resolve, reject) => {
+        db.get(TAKE_SQL, params, (err, row) => {
+          if (err) return reject(err);
+          resolve(takeResult(Boolean(row.allowed), row.tokens, budget));
+        });
+      });
+    },
+  };
+}
+
+function toBucket({ burst, per_minute: perMinute }) {
+  return { burst, perSecond: perMinute / 60 };
+}
+
+// Returns { limits } (budgets by route name, with `overrides` merged over
+// `defaults`) or { error }. `overrides` is the parsed RATE_LIMITS setting.
+function resolveLimits(defaults, overrides = {}) {
+  const limits = {};
+
+  for (const [name, budgets] of Object.entries({ ...defaults, ...overrides })) {
+    if (!defaults[name]) return { error: `Unknown rate limit "${name}"` };
+
+    limits[name] = {};
+    for (const scope of ['ip', 'user']) {
+      const budget = { ...defaults[name][scope], ...budgets?.[scope] };
+      if (!defaults[name][scope] && !budgets?.[scope]) continue;
+
+      const valid = [budget.burst, budget.per_minute].every((n) => typeof n === 'number' && n > 0);
+      if (!valid) return { error: `${name}.${scope} needs a positive burst and per_minute` };
+      limits[name][scope] = budget;
+    }
+  }
+  return { limits };
+}
+
+// Express middleware for one route. Runs after the session is loaded so
+// req.user is known; a store that fails lets the request through.
+function rateLimiter(name, limits, store) {
+  const budgets = limits[name];
+  if (!budgets) throw new Error(`No rate limit named "${name}"`);
+
+  // in the order they are charged
+  const buckets = [
+    budgets.user && { scope: 'user', budget: budgets.user, bucket: toBucket(budgets.user), key: (req) => req.user?.id },
+    budgets.ip && { scope: 'ip', budget: budgets.ip, bucket: toBucket(budgets.ip), key: (req) => req.ip },
+  ].filter(Boolean);
+
+  return async (req, res, next) => {
+    const applicable = buckets.filter((b) => b.key(req) != null);
+    if (!applicable.length) return next();
+
+    // a bucket that refuses stops the ones after it from being charged
+    const results = [];
+    try {
+      for (const b of applicable) {
+        results.push({ ...b, ...(await store.take(`${name}:${b.scope}:${b.key(req)}`, b.bucket)) });
+        if (!results[results.length - 1].allowed) break;
+      }
+    } catch (err) {
+      logger.error('Rate limit store failed', { limit: name, error: err.message });
+      return next();
+    }
+
+    // report the bucket closest to running out
+    const tightest = results.reduce((a, b) => {
+      if (a.allowed !== b.allowed) return a.allowed ? b : a;
+      return b.remaining < a.remaining ? b : a;
+    });
+
+    res.set({
+      'RateLimit-Limit': String(tightest.budget.burst),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(tightest.reset),
+      'RateLimit-Policy': applicable.map((b) => `${b.budget.burst};w=${Math.round((b.budget.burst / b.budget.per_minute) * 60)}`).join(', '),
+    });
+
+    if (tightest.allowed) return next();
+
+    res.set('Retry-After', String(tightest.retryAfter));
+    sendProblem(res, 429, `Too many requests; try again in ${tightest.retryAfter} s`);
+  };
+}
+
+module.exports = { createMemoryRateLimitStore, createSqliteRateLimitStore, resolveLimits, rateLimiter };
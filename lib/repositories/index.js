@@ -0,0 +1,58 @@
+const { createSqlitePostRepository } = require('./sqlite-posts');
+const { createMemoryPostRepository } = require('./memory-posts');
+const { visibilityFilter, isVisible, canModifyPost } = require('./visibility');
+
+// PostRepository: everything the routes do with posts, their tags, slugs,
+// revisions and the trash. Both stores implement the same promise-based
+// methods; the routes only ever talk to `posts` (see app.js).
+//
+//   findById(id)                        post with tags, author_username,
+//                                       comment_count (trashed too) | null
+//   findBySlug(slug)                    { id, slug } for a current or former
+//                                       slug (slug is the current one) | null
+//   findDuplicate({ title, content })   { id, slug } of a post outside the
+//                                       trash with exactly that text | null
+//   list(query, user)                   { posts, hasMore }; query is
+//                                       { limit, sort, order, cursor, filters,
+//                                       tag, status } from parseListQuery()
+//   listPublic({ orderBy, limit, withTags })  published posts, newest first
+//   tagCounts({ prefix }, user)         [{ name, count }] over visible posts
+//   create(fields, authorId)            the new post; fields is { title,
+//                                       content, contentFormat, status,
+//                                       publishAt, tags, timestamps? } with
+//                                       timestamps { created_at, updated_at,
+//                                       published_at } to keep (imports)
+//   update(id, fields, authorId, restoredFrom)  the post | null; fields is
+//                                       { title, content, contentFormat?,
+//                                       tags?, publishing? }; bumps `version`
+//   listRevisions(postId)               newest first, without content
+//   findRevision(postId, rev)           full revision | null
+//   trash(id) / restore(id)             soft delete (boolean) / undo (post | null)
+//   listTrash(user, retentionDays)      trashed posts the user may manage
+//   purge(id) / emptyTrash(user)        delete trashed posts for good
+//   changes()                           { count, changedAt }: a counter every
+//                                       write to posts, tags or comments bumps,
+//                                       and when that last happened
+//   transaction(fn)                     runs fn(repo) atomically and resolves
+//                                       to its result; a rejection undoes
+//                                       every write made through `repo`.
+//                                       repo.transaction() nests: a savepoint
+//                                       whose rejection undoes only its part.
+//                                       Writes made outside fn are neither
+//                                       part of it nor undone with it
+//   close()                             resolves once what the store holds
+//                                       open (beyond what the caller passed
+//                                       in) is closed
+//
+// create() and update() are atomic on their own.
+
+const POST_SORTS = ['created_at', 'updated_at', 'title'];
+
+module.exports = {
+  POST_SORTS,
+  createSqlitePostRepository,
+  createMemoryPostRepository,
+  visibilityFilter,
+  isVisible,
+  canModifyPost,
+};
@@ -0,0 +1,314 @@
+const { renderContent } = require('../markdown');
+const { slugify, pickUniqueSlug, isSlugFor } = require('../slug');
+const { isVisible } = require('./visibility');
+
+// PostRepository kept in plain JS objects: same behaviour as the SQLite
+// store, nothing written to disk. Meant for tests and throwaway setups.
+// `users` ([{ id, username }]) fills in author_username; there are no
+// comments here, so comment_count is always 0.
+
+// Same "YYYY-MM-DD HH:MM:SS" (UTC) form SQLite's datetime('now') produces
+function now() {
+  return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function addDays(timestamp, days) {
+  const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// title sorts case-insensitively, like COLLATE NOCASE
+function sortValue(post, sort) {
+  return sort === 'title' ? String(post.title).toLowerCase() : post[sort];
+}
+
+function compare(a, b) {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+const WRITES = ['create', 'update', 'trash', 'restore', 'purge', 'emptyTrash'];
+
+function createMemoryPostRepository({ users = [] } = {}) {
+  let state = {
+    nextId: 1,
+    nextRevisionId: 1,
+    posts: [],
+    redirects: new Map(),
+    revisions: [],
+    changes: { count: 0, changedAt: now() },
+  };
+
+  const usernames = new Map(users.map((user) => [user.id, user.username]));
+
+  const row = (id) => state.posts.find((post) => post.id === id) || null;
+
+  const present = (post) => ({
+    ...post,
+    tags: [...post.tags],
+    author_username: usernames.get(post.author_id) ?? null,
+    comment_count: 0,
+  });
+
+  // Same rules as updatePostSlug() in lib/slug.js
+  function setSlug(post) {
+    const base = slugify(post.title);
+    if (post.slug && isSlugFor(post.slug, base)) return;
+
+    const taken = [
+      ...state.posts.filter((other) => other.id !== post.id).map((other) => other.slug),
+      ...[...state.redirects].filter(([, postId]) => postId !== post.id).map(([slug]) => slug),
+    ];
+    const slug = pickUniqueSlug(base, taken);
+
+    state.redirects.delete(slug);
+    if (post.slug) state.redirects.set(post.slug, post.id);
+    post.slug = slug;
+  }
+
+  function recordRevision(post, authorId, restoredFrom) {
+    const revs = state.revisions.filter((revision) => revision.post_id === post.id).map((revision) => revision.rev);
+
+    state.revisions.push({
+      id: state.nextRevisionId++,
+      post_id: post.id,
+      rev: Math.max(0, ...revs) + 1,
+      title: post.title,
+      content: post.content,
+      content_format: post.content_format,
+      tags: [...post.tags],
+      author_id: authorId,
+      restored_from: restoredFrom,
+      created_at: now(),
+    });
+  }
+
+  function removePost(id) {
+    state.posts = state.posts.filter((post) => post.id !== id);
+    state.revisions = state.revisions.filter((revision) => revision.post_id !== id);
+    state.redirects.forEach((postId, slug) => postId === id && state.redirects.delete(slug));
+  }
+
+  // The SQLite store counts writes with triggers; here every mutator calls this
+  function changed() {
+    state.changes = { count: state.changes.count + 1, changedAt: now() };
+  }
+
+  const ownsTrash = (user) => (post) =>
+    post.deleted_at && (user.role === 'admin' || post.author_id === user.id);
+
+  const methods = {
+    async findById(id) {
+      const post = row(id);
+      return post && present(post);
+    },
+
+    async findBySlug(slug) {
+      const post = state.posts.find((candidate) => candidate.slug === slug) || row(state.redirects.get(slug));
+      return post ? { id: post.id, slug: post.slug } : null;
+    },
+
+    async findDuplicate({ title, content }) {
+      const post = state.posts.find((candidate) =>
+        !candidate.deleted_at && candidate.title === title && candidate.content === content);
+      return post ? { id: post.id, slug: post.slug } : null;
+    },
+
+    async list({ limit, sort, order, cursor, filters, tag, status }, user) {
+      const dir = order === 'asc' ? 1 : -1;
+      const byKey = (a, b) => dir * (compare(sortValue(a, sort), sortValue(b, sort)) || compare(a.id, b.id));
+
+      const after = cursor && { id: cursor.id, [sort]: cursor.v };
+      const matches = state.posts
+        .filter((post) => isVisible(post, user))
+        .filter((post) => !status || post.status === status)
+        .filter((post) => filters.every(({ column, op, value }) => (op === '>=' ? post[column] >= value : post[column] <= value)))
+        .filter((post) => !tag || post.tags.includes(tag))
+        .filter((post) => !after || byKey(post, after) > 0)
+        .sort(byKey);
+
+      return { posts: matches.slice(0, limit).map(present), hasMore: matches.length > limit };
+    },
+
+    async listPublic({ orderBy, limit }) {
+      const column = orderBy === 'updated_at' ? 'updated_at' : 'created_at';
+      const posts = state.posts
+        .filter((post) => isVisible(post, null))
+        .sort((a, b) => compare(b[column], a[column]) || b.id - a.id)
+        .map(present);
+
+      return limit ? posts.slice(0, limit) : posts;
+    },
+
+    async tagCounts({ prefix = '' }, user) {
+      const counts = new Map();
+      state.posts
+        .filter((post) => isVisible(post, user))
+        .forEach((post) => post.tags
+          .filter((name) => name.startsWith(prefix))
+          .forEach((name) => counts.set(name, (counts.get(name) || 0) + 1)));
+
+      return [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || compare(a.name, b.name));
+    },
+
+    async create({ title, content, contentFormat, status, publishAt, tags = [], timestamps = {} }, authorId) {
+      const timestamp = now();
+      const post = {
+        id: state.nextId++,
+        title,
+        content,
+        content_format: contentFormat,
+        content_html: renderContent(content, contentFormat),
+        slug: null,
+        author_id: authorId,
+        status,
+        publish_at: publishAt,
+        published_at: timestamps.published_at ?? (status === 'published' ? timestamp : null),
+        created_at: timestamps.created_at ?? timestamp,
+        updated_at: timestamps.updated_at ?? timestamp,
+        deleted_at: null,
+        version: 1,
+        tags: [...tags].sort(),
+      };
+
+      state.posts.push(post);
+      setSlug(post);
+      recordRevision(post, authorId, null);
+      changed();
+      return present(post);
+    },
+
+    async update(id, { title, content, contentFormat, tags, publishing }, authorId, restoredFrom) {
+      const post = row(id);
+      if (!post) return null;
+
+      const format = contentFormat === undefined ? post.content_format : contentFormat;
+
+      Object.assign(post, {
+        title,
+        content,
+        content_format: format,
+        content_html: renderContent(content, format),
+        updated_at: now(),
+        version: post.version + 1,
+      });
+
+      if (publishing) {
+        post.status = publishing.status;
+        post.publish_at = publishing.publish_at;
+        if (publishing.status === 'published' && !post.published_at) post.published_at = now();
+      }
+      if (tags !== undefined) post.tags = [...tags].sort();
+
+      setSlug(post);
+      recordRevision(post, authorId, restoredFrom);
+      changed();
+      return present(post);
+    },
+
+    async listRevisions(postId) {
+      return state.revisions
+        .filter((revision) => revision.post_id === postId)
+        .sort((a, b) => b.rev - a.rev)
+        .map(({ id, post_id, rev, title, author_id, restored_from, created_at }) => ({
+          id, post_id, rev, title, author_id, restored_from, created_at,
+          author_username: usernames.get(author_id) ?? null,
+        }));
+    },
+
+    async findRevision(postId, rev) {
+      const revision = state.revisions.find((candidate) => candidate.post_id === postId && candidate.rev === rev);
+      if (!revision) return null;
+
+      return { ...revision, tags: [...revision.tags], author_username: usernames.get(revision.author_id) ?? null };
+    },
+
+    async changes() {
+      return { ...state.changes };
+    },
+
+    async trash(id) {
+      const post = row(id);
+      if (!post || post.deleted_at) return false;
+
+      post.deleted_at = now();
+      changed();
+      return true;
+    },
+
+    async listTrash(user, retentionDays) {
+      return state.posts
+        .filter(ownsTrash(user))
+        .sort((a, b) => compare(b.deleted_at, a.deleted_at) || b.id - a.id)
+        .map(({ id, title, author_id, status, created_at, updated_at, deleted_at }) => ({
+          id, title, author_id, status, created_at, updated_at, deleted_at,
+          purge_at: addDays(deleted_at, retentionDays),
+        }));
+    },
+
+    async restore(id) {
+      const post = row(id);
+      if (!post || !post.deleted_at) return null;
+
+      post.deleted_at = null;
+      changed();
+      return present(post);
+    },
+
+    async purge(id) {
+      const post = row(id);
+      if (!post || !post.deleted_at) return false;
+
+      removePost(id);
+      changed();
+      return true;
+    },
+
+    async emptyTrash(user) {
+      const purged = state.posts.filter(ownsTrash(user));
+      purged.forEach((post) => removePost(post.id));
+      if (purged.length) changed();
+      return purged.length;
+    },
+  };
+
+  // Transactions take turns like the SQLite ones; a failed one (or a failed
+  // nested one, the savepoint) puts the state back the way it was before it
+  // started.
+  let queue = Promise.resolve();
+
+  async function savepoint(fn) {
+    const snapshot = structuredClone(state);
+    try {
+      return await fn(tx);
+    } catch (err) {
+      state = snapshot;
+      throw err;
+    }
+  }
+
+  const tx = { ...methods, transaction: savepoint };
+
+  function transaction(fn) {
+    const result = queue.then(() => savepoint(fn));
+
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Writes outside a transaction wait for the one running, as they wait for
+  // SQLite's write lock, so its rollback cannot undo them
+  const queued = (name) => (...args) => transaction((t) => t[name](...args));
+
+  return {
+    ...methods,
+    ...Object.fromEntries(WRITES.map((name) => [name, queued(name)])),
+    transaction,
+    close: async () => {},
+  };
+}
+
+module.exports = { createMemoryPostRepository };
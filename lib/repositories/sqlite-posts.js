@@ -0,0 +1,492 @@
+const { retryBusy } = require('../db');
+const { renderContent } = require('../markdown');
+const { updatePostSlug } = require('../slug');
+const { visibilityFilter } = require('./visibility');
+
+// PostRepository on top of the sqlite3 database app.js opens (schema in
+// migrations/). See ./index.js for the interface.
+
+// sort key -> SQL expression (never interpolate user input directly)
+const SORT_COLUMNS = {
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  title: 'title COLLATE NOCASE',
+};
+
+const DATE_COLUMNS = ['created_at', 'updated_at'];
+const DATE_OPERATORS = ['>=', '<='];
+
+// Posts plus their author's name and number of approved comments
+const POST_SELECT = `
+  SELECT posts.*,
+    (SELECT username FROM users u WHERE u.id = posts.author_id) AS author_username,
+    (SELECT COUNT(*) FROM comments c WHERE c.post_id = posts.id AND c.status = 'approved') AS comment_count
+  FROM posts
+`;
+
+// Snapshot of the post's current title/content/tags as its next revision
+const REVISION_SNAPSHOT_SQL = `
+  INSERT INTO post_revisions (post_id, rev, title, content, content_format, tags, author_id, restored_from)
+  SELECT p.id,
+    COALESCE((SELECT MAX(rev) FROM post_revisions r WHERE r.post_id = p.id), 0) + 1,
+    p.title, p.content, p.content_format,
+    (
+      SELECT json_group_array(name) FROM (
+        SELECT t.name FROM post_tags pt JOIN tags t ON t.id = pt.tag_id
+        WHERE pt.post_id = p.id ORDER BY t.name
+      )
+    ),
+    ?, ?
+  FROM posts p
+  WHERE p.id = ?
+`;
+
+// Admins manage the whole trash, authors their own posts
+function trashOwnerFilter(user) {
+  return user.role === 'admin'
+    ? { sql: '1 = 1', params: [] }
+    : { sql: 'author_id = ?', params: [user.id] };
+}
+
+function formatRevision(row) {
+  return { ...row, tags: JSON.parse(row.tags || '[]') };
+}
+
+// The interface's methods (except transaction) on connection `db`, plus its
+// run() for the statements transactions need
+function postMethods(db) {
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+
+  const get = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    });
+
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+  const setSlug = (postId, title) =>
+    new Promise((resolve, reject) => {
+      updatePostSlug(db, postId, title, (err, slug) => (err ? reject(err) : resolve(slug)));
+    });
+
+  // Adds a `tags` array (names, alphabetical) to each post row
+  async function attachTags(rows) {
+    if (rows.length === 0) return rows;
+
+    const ids = rows.map((row) => row.id);
+    const tagRows = await all(
+      `
+      SELECT pt.post_id, t.name
+      FROM post_tags pt
+      JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.post_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY t.name
+      `,
+      ids
+    );
+
+    const byPost = new Map(ids.map((id) => [id, []]));
+    tagRows.forEach(({ post_id, name }) => byPost.get(post_id).push(name));
+
+    return rows.map((row) => ({ ...row, tags: byPost.get(row.id) }));
+  }
+
+  // Replaces the tag set of a post; tags === undefined leaves it untouched
+  async function setTags(postId, tags) {
+    if (tags === undefined) return;
+
+    await run(`DELETE FROM post_tags WHERE post_id = ?`, [postId]);
+    if (tags.length === 0) return;
+
+    await run(`INSERT OR IGNORE INTO tags (name) VALUES ${tags.map(() => '(?)').join(', ')}`, tags);
+    await run(
+      `
+      INSERT OR IGNORE INTO post_tags (post_id, tag_id)
+      SELECT ?, id FROM tags WHERE name IN (${tags.map(() => '?').join(', ')})
+      `,
+      [postId, ...tags]
+    );
+  }
+
+  function recordRevision(postId, authorId, restoredFrom) {
+    return run(REVISION_SNAPSHOT_SQL, [authorId, restoredFrom, postId]);
+  }
+
+  // Posts written before revisions existed get their current state saved as
+  // revision 1 before the first change, so that text is not lost either.
+  function ensureBaseRevision(postId) {
+    return run(
+      `${REVISION_SNAPSHOT_SQL} AND NOT EXISTS (SELECT 1 FROM post_revisions WHERE post_id = ?)`,
+      [null, null, postId, postId]
+    );
+  }
+
+  async function findById(id) {
+    const row = await get(`${POST_SELECT} WHERE id = ?`, [id]);
+    if (!row) return null;
+
+    const [post] = await attachTags([row]);
+    return post;
+  }
+
+  async function create({ title, content, contentFormat, status, publishAt, tags, timestamps = {} }, authorId) {
+    const { lastID } = await run(
+      `
+      INSERT INTO posts (title, content, content_format, content_html, author_id, status, publish_at,
+                         published_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?,
+              COALESCE(?, CASE WHEN ? = 'published' THEN datetime('now') END),
+              COALESCE(?, datetime('now')), COALESCE(?, datetime('now')))
+      `,
+      [
+        title, content, contentFormat, renderContent(content, contentFormat), authorId, status, publishAt,
+        timestamps.published_at ?? null, status,
+        timestamps.created_at ?? null, timestamps.updated_at ?? null,
+      ]
+    );
+
+    await setSlug(lastID, title);
+    await setTags(lastID, tags);
+    await recordRevision(lastID, authorId, null);
+    return findById(lastID);
+  }
+
+  async function update(id, { title, content, contentFormat, tags, publishing }, authorId, restoredFrom) {
+    if (contentFormat === undefined) {
+      const current = await get(`SELECT content_format FROM posts WHERE id = ?`, [id]);
+      if (!current) return null;
+      contentFormat = current.content_format;
+    }
+
+    const sets = [
+      'title = ?',
+      'content = ?',
+      'content_format = ?',
+      'content_html = ?',
+      `updated_at = datetime('now')`,
+      'version = version + 1',
+    ];
+    const params = [title, content, contentFormat, renderContent(content, contentFormat)];
+
+    if (publishing) {
+      sets.push(
+        'status = ?',
+        'publish_at = ?',
+        `published_at = CASE WHEN ? = 'published' THEN COALESCE(published_at, datetime('now')) ELSE published_at END`
+      );
+      params.push(publishing.status, publishing.publish_at, publishing.status);
+    }
+
+    await ensureBaseRevision(id);
+
+    const { changes } = await run(`UPDATE posts SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    if (!changes) return null;
+
+    await setSlug(id, title);
+    await setTags(id, tags);
+    await recordRevision(id, authorId, restoredFrom);
+    return findById(id);
+  }
+
+  async function list({ limit, sort, order, cursor, filters, tag, status }, user) {
+    const column = SORT_COLUMNS[sort];
+    const dir = order === 'asc' ? 'ASC' : 'DESC';
+    const cmp = order === 'asc' ? '>' : '<';
+
+    const visibility = visibilityFilter(user);
+    const where = [visibility.sql];
+    const params = [...visibility.params];
+
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+
+    filters.forEach(({ column: col, op, value }) => {
+      if (!DATE_COLUMNS.includes(col) || !DATE_OPERATORS.includes(op)) throw new Error(`Invalid filter on ${col}`);
+      where.push(`datetime(${col}) ${op} datetime(?)`);
+      params.push(value);
+    });
+
+    if (tag) {
+      where.push(`id IN (
+        SELECT pt.post_id FROM post_tags pt JOIN tags t ON t.id = pt.tag_id WHERE t.name = ?
+      )`);
+      params.push(tag);
+    }
+
+    // Keyset pagination: continue strictly after the last row of the previous page
+    if (cursor) {
+      where.push(`(${column} ${cmp} ? OR (${column} = ? AND id ${cmp} ?))`);
+      params.push(cursor.v, cursor.v, cursor.id);
+    }
+
+    // fetch one extra row to know whether another page exists
+    const rows = await all(
+      `${POST_SELECT} WHERE ${where.join(' AND ')} ORDER BY ${column} ${dir}, id ${dir} LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    return { posts: await attachTags(hasMore ? rows.slice(0, limit) : rows), hasMore };
+  }
+
+  // Published posts for pages and feeds, newest first by orderBy
+  // ('created_at' | 'updated_at'); limit null = all
+  async function listPublic({ orderBy, limit, withTags = false }) {
+    const visibility = visibilityFilter(null);
+    const column = orderBy === 'updated_at' ? 'updated_at' : 'created_at';
+
+    const rows = await all(
+      `
+      SELECT id, slug, title, content_html, created_at, updated_at, published_at,
+        (SELECT username FROM users u WHERE u.id = posts.author_id) AS author_username
+      FROM posts
+      WHERE ${visibility.sql}
+      ORDER BY ${column} DESC, id DESC
+      ${limit ? 'LIMIT ?' : ''}
+      `,
+      [...visibility.params, ...(limit ? [limit] : [])]
+    );
+
+    return withTags ? attachTags(rows) : rows;
+  }
+
+  function tagCounts({ prefix = '' }, user) {
+    const visibility = visibilityFilter(user);
+
+    return all(
+      `
+      SELECT t.name, COUNT(pt.post_id) AS count
+      FROM tags t
+      JOIN post_tags pt ON pt.tag_id = t.id
+      JOIN posts ON posts.id = pt.post_id
+      WHERE t.name LIKE ? ESCAPE '\\' AND ${visibility.sql}
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+      `,
+      [`${prefix.replace(/[\\%_]/g, '\\$&')}%`, ...visibility.params]
+    );
+  }
+
+  // Same title and text as a post outside the trash (imports skip those)
+  function findDuplicate({ title, content }) {
+    return get(`SELECT id, slug FROM posts WHERE title = ? AND content = ? AND deleted_at IS NULL LIMIT 1`, [
+      title,
+      content,
+    ]);
+  }
+
+  // Resolves a current or former slug to { id, slug } (the current one)
+  function findBySlug(slug) {
+    return get(
+      `
+      SELECT id, slug FROM posts WHERE slug = ?
+      UNION ALL
+      SELECT p.id, p.slug FROM post_slug_redirects r JOIN posts p ON p.id = r.post_id WHERE r.slug = ?
+      LIMIT 1
+      `,
+      [slug, slug]
+    );
+  }
+
+  function listRevisions(postId) {
+    return all(
+      `
+      SELECT r.id, r.post_id, r.rev, r.title, r.author_id, r.restored_from, r.created_at,
+             u.username AS author_username
+      FROM post_revisions r
+      LEFT JOIN users u ON u.id = r.author_id
+      WHERE r.post_id = ?
+      ORDER BY r.rev DESC
+      `,
+      [postId]
+    );
+  }
+
+  async function findRevision(postId, rev) {
+    const row = await get(
+      `
+      SELECT r.*, u.username AS author_username
+      FROM post_revisions r
+      LEFT JOIN users u ON u.id = r.author_id
+      WHERE r.post_id = ? AND r.rev = ?
+      `,
+      [postId, rev]
+    );
+    return row && formatRevision(row);
+  }
+
+  async function trash(id) {
+    const { changes } = await run(
+      `UPDATE posts SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
+    return changes > 0;
+  }
+
+  function listTrash(user, retentionDays) {
+    const owner = trashOwnerFilter(user);
+
+    return all(
+      `
+      SELECT id, title, author_id, status, created_at, updated_at, deleted_at,
+             datetime(deleted_at, ?) AS purge_at
+      FROM posts
+      WHERE deleted_at IS NOT NULL AND ${owner.sql}
+      ORDER BY deleted_at DESC, id DESC
+      `,
+      [`+${retentionDays} days`, ...owner.params]
+    );
+  }
+
+  async function restore(id) {
+    const { changes } = await run(`UPDATE posts SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+    return changes ? findById(id) : null;
+  }
+
+  async function purge(id) {
+    const { changes } = await run(`DELETE FROM posts WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+    return changes > 0;
+  }
+
+  async function emptyTrash(user) {
+    const owner = trashOwnerFilter(user);
+    const { changes } = await run(`DELETE FROM posts WHERE deleted_at IS NOT NULL AND ${owner.sql}`, owner.params);
+    return changes;
+  }
+
+  // Bumped by triggers on posts, post_tags and comments (migration 013)
+  function changes() {
+    return get(`SELECT value AS count, changed_at AS changedAt FROM change_counters WHERE name = 'posts'`);
+  }
+
+  const methods = {
+    findById,
+    findBySlug,
+    findDuplicate,
+    list,
+    listPublic,
+    tagCounts,
+    create,
+    update,
+    listRevisions,
+    findRevision,
+    trash,
+    listTrash,
+    restore,
+    purge,
+    emptyTrash,
+    changes,
+  };
+
+  return { methods, run };
+}
+
+// Opens a connection with connect(callback) (app.js passes one that opens
+// data/blog.db again), resolving to it
+function openConnection(connect) {
+  return new Promise((resolve, reject) => {
+    connect((err, connection) => (err ? reject(err) : resolve(connection)));
+  });
+}
+
+// db is the connection every request shares; transactions run on one of
+// their own, opened with connect(callback) on first use. On the shared one a
+// transaction would take in, and roll back with it, whatever other requests
+// write meanwhile, and show them rows it had not committed yet.
+function createSqlitePostRepository(db, { connect }) {
+  const { methods } = postMethods(db);
+
+  // Transactions take turns on their connection: each waits for the previous
+  // one to COMMIT or ROLLBACK before its BEGIN. BEGIN IMMEDIATE takes the
+  // write lock up front, so writes on other connections wait for the COMMIT
+  // (busy timeout, see lib/db.js), and only the BEGIN can meet another
+  // writer's lock (retried); the statements after it cannot.
+  let queue = Promise.resolve();
+  let session = null;
+
+  // { connection, run, tx }; tx runs the same methods without starting new
+  // transactions, and a nested transaction is a savepoint, undone alone
+  // when it fails
+  function transactionSession() {
+    session ??= openConnection(connect).then((connection) => {
+      const { methods: txMethods, run } = postMethods(connection);
+      let savepoints = 0;
+
+      async function savepoint(fn) {
+        const name = `nested_${++savepoints}`;
+        await run(`SAVEPOINT ${name}`);
+        try {
+          const value = await fn(tx);
+          await run(`RELEASE ${name}`);
+          return value;
+        } catch (err) {
+          await run(`ROLLBACK TO ${name}`).catch(() => {});
+          await run(`RELEASE ${name}`).catch(() => {});
+          throw err;
+        }
+      }
+
+      const tx = { ...txMethods, transaction: savepoint };
+      return { connection, run, tx };
+    });
+
+    // a connection that failed to open is tried again next time
+    session.catch(() => (session = null));
+    return session;
+  }
+
+  function transaction(fn) {
+    const result = queue.then(async () => {
+      const { run, tx } = await transactionSession();
+
+      await retryBusy(() => run('BEGIN IMMEDIATE'));
+      try {
+        const value = await fn(tx);
+        await run('COMMIT');
+        return value;
+      } catch (err) {
+        await run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Closes the transactions' connection once the queued ones are done; the
+  // shared one is the caller's to close
+  function close() {
+    return queue.then(async () => {
+      if (!session) return;
+
+      const { connection } = await session.catch(() => ({}));
+      session = null;
+      if (connection) await new Promise((resolve, reject) => connection.close((err) => (err ? reject(err) : resolve())));
+    });
+  }
+
+  // multi-statement writes are atomic on their own
+  const atomic = (name) => (...args) => transaction((t) => t[name](...args));
+
+  return {
+    ...methods,
+    create: atomic('create'),
+    update: atomic('update'),
+    transaction,
+    close,
+  };
+}
+
+module.exports = { createSqlitePostRepository };
@@ -0,0 +1,31 @@
+// Who may see and change which posts. The SQL condition and the plain
+// function must agree: the SQLite store filters with the first, the
+// in-memory store and the routes with the second.
+
+// SQL condition limiting posts to what the requester may see: the public
+// sees published posts, authors also their own, admins everything.
+// Posts in the trash are hidden from everyone here (see GET /api/trash).
+function visibilityFilter(user, alias = 'posts') {
+  const notDeleted = `${alias}.deleted_at IS NULL`;
+
+  if (user?.role === 'admin') return { sql: notDeleted, params: [] };
+  if (user) {
+    return {
+      sql: `${notDeleted} AND (${alias}.status = 'published' OR ${alias}.author_id = ?)`,
+      params: [user.id],
+    };
+  }
+  return { sql: `${notDeleted} AND ${alias}.status = 'published'`, params: [] };
+}
+
+function isVisible(post, user) {
+  if (post.deleted_at) return false;
+  return post.status === 'published' || user?.role === 'admin' || (!!user && post.author_id === user.id);
+}
+
+// Admins may change any post; authors only their own
+function canModifyPost(user, post) {
+  return !!user && (user.role === 'admin' || (post.author_id != null && post.author_id === user.id));
+}
+
+module.exports = { visibilityFilter, isVisible, canModifyPost };
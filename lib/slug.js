@@ -0,0 +1,81 @@
+// URL slugs for post permalinks (/posts/:slug)
+
+const MAX_SLUG_LENGTH = 80;
+
+// "Héllo, Wörld!" -> "hello-world". Latin letters lose their accents; other
+// scripts are kept as written (NFC), marks included, so "آموزش برنامه نویسی"
+// stays "آموزش-برنامه-نویسی". Titles without letters or digits become
+// "post". All-digit slugs get a prefix so they never look like a post id.
+function slugify(title) {
+  const slug = String(title ?? '')
+    .normalize('NFC')
+    .replace(/\p{Script=Latin}\p{M}*/gu, (letter) => letter.normalize('NFKD').replace(/\p{M}/gu, ''))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+  if (!slug) return 'post';
+  return /^\d+$/.test(slug) ? `post-${slug}` : slug;
+}
+
+// First free candidate out of "base", "base-2", "base-3", ...
+function pickUniqueSlug(base, taken) {
+  const used = new Set(taken);
+  if (!used.has(base)) return base;
+
+  for (let n = 2; ; n++) {
+    const candidate = `${base}-${n}`;
+    if (!used.has(candidate)) return candidate;
+  }
+}
+
+// True when slug is base or one of its numbered variants
+function isSlugFor(slug, base) {
+  return slug === base || new RegExp(`^${base}-\\d+$`).test(String(slug || ''));
+}
+
+// Gives the post a slug derived from its title. A post keeps its slug while
+// the title still maps to it; otherwise the old slug becomes a redirect.
+function updatePostSlug(db, postId, title, callback) {
+  const base = slugify(title);
+
+  db.get(`SELECT slug FROM posts WHERE id = ?`, [postId], (err, post) => {
+    if (err) return callback(err);
+    if (!post) return callback(null, null);
+    if (post.slug && isSlugFor(post.slug, base)) return callback(null, post.slug);
+
+    // other posts' slugs and redirects are taken; this post's old slugs are not
+    db.all(
+      `
+      SELECT slug FROM posts WHERE (slug = ? OR slug LIKE ?) AND id != ?
+      UNION
+      SELECT slug FROM post_slug_redirects WHERE (slug = ? OR slug LIKE ?) AND post_id != ?
+      `,
+      [base, `${base}-%`, postId, base, `${base}-%`, postId],
+      (e2, rows) => {
+        if (e2) return callback(e2);
+
+        const slug = pickUniqueSlug(base, rows.map((row) => row.slug));
+
+        db.run(`UPDATE posts SET slug = ? WHERE id = ?`, [slug, postId], (e3) => {
+          if (e3) return callback(e3);
+
+          db.run(`DELETE FROM post_slug_redirects WHERE slug = ?`, [slug], (e4) => {
+            if (e4) return callback(e4);
+            if (!post.slug) return callback(null, slug);
+
+            db.run(
+              `INSERT OR REPLACE INTO post_slug_redirects (slug, post_id) VALUES (?, ?)`,
+              [post.slug, postId],
+              (e5) => callback(e5, slug)
+            );
+          });
+        });
+      }
+    );
+  });
+}
+
+module.exports = { slugify, pickUniqueSlug, isSlugFor, updatePostSlug };
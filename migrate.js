@@ -0,0 +1,93 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { configureConnection } = require('./lib/db');
+const { migrateUp, migrateDown, migrationStatus } = require('./lib/migrate');
+
+// Schema migrations from the command line. app.js applies pending migrations
+// itself on start; this is for checking and rolling back by hand:
+//
+//   node migrate.js status           list migrations and when they were applied
+//   node migrate.js up [--to N]      apply pending migrations (up to version N)
+//   node migrate.js down [--steps N] revert the last N applied migrations (default 1)
+
+const DB_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const DB_PATH = path.join(DB_DIR, 'blog.db');
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(name);
+  if (i === -1) return fallback;
+
+  const value = Number(process.argv[i + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`${name} needs a positive whole number`);
+    process.exit(2);
+  }
+  return value;
+}
+
+function printStatus(db, callback) {
+  migrationStatus(db, (err, migrations) => {
+    if (err) return callback(err);
+
+    migrations.forEach((m) => {
+      const state = m.applied_at ? `applied ${m.applied_at}` : 'pending';
+      const notes = [!m.reversible && 'irreversible', m.missing && 'file missing'].filter(Boolean);
+      const id = `${String(m.version).padStart(3, '0')}_${m.name}`;
+      console.log(`${id.padEnd(28)} ${state}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    });
+
+    const pending = migrations.filter((m) => !m.applied_at).length;
+    console.log(pending ? `\n${pending} pending migration(s)` : '\nSchema is up to date');
+    callback(null);
+  });
+}
+
+function run(db, command, callback) {
+  const log = console.log;
+
+  switch (command) {
+    case 'status':
+      return printStatus(db, callback);
+    case 'up':
+      return migrateUp(db, { to: option('--to', Infinity), log }, (err, applied) => {
+        if (!err && !applied.length) console.log('Nothing to migrate');
+        callback(err);
+      });
+    case 'down':
+      return migrateDown(db, { steps: option('--steps', 1), log }, (err, reverted) => {
+        if (!err && !reverted.length) console.log('Nothing to roll back');
+        callback(err);
+      });
+    default:
+      console.error('Usage: node migrate.js status | up [--to N] | down [--steps N]');
+      process.exit(2);
+  }
+}
+
+function start() {
+  const command = process.argv[2];
+  if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
+
+  const db = new sqlite3.Database(DB_PATH, (err) => {
+    if (err) {
+      console.error(err);
+      process.exit(1);
+    }
+  });
+
+  // a running app.js may hold the write lock for a moment
+  configureConnection(db, (err) => {
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+
+    run(db, command, (e2) => {
+      if (e2) console.error(e2.message);
+      db.close(() => process.exit(e2 ? 1 : 0));
+    });
+  });
+}
+
+start();
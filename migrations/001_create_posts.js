@@ -0,0 +1,32 @@
+const { addMissingColumns } = require('../lib/migrate');
+
+// Databases from the first releases have posts without the timestamp
+// columns (or with them NULL); those get added and filled in here.
+function up(db, callback) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `, (err) => {
+    if (err) return callback(err);
+
+    addMissingColumns(db, 'posts', { created_at: 'TEXT', updated_at: 'TEXT' }, (e2) => {
+      if (e2) return callback(e2);
+
+      db.exec(`
+        UPDATE posts SET created_at = COALESCE(created_at, datetime('now'));
+        UPDATE posts SET updated_at = COALESCE(updated_at, created_at);
+      `, callback);
+    });
+  });
+}
+
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS posts`, callback);
+}
+
+module.exports = { up, down };
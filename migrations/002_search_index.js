@@ -0,0 +1,49 @@
+// External-content FTS5 index over posts, kept in sync by triggers.
+function up(db, callback) {
+  db.get(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'posts_fts'`,
+    (err, existing) => {
+      if (err) return callback(err);
+
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+          title, content,
+          content = 'posts', content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_ai AFTER INSERT ON posts BEGIN
+          INSERT INTO posts_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_ad AFTER DELETE ON posts BEGIN
+          INSERT INTO posts_fts (posts_fts, rowid, title, content)
+          VALUES ('delete', old.id, old.title, old.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS posts_fts_au AFTER UPDATE OF title, content ON posts BEGIN
+          INSERT INTO posts_fts (posts_fts, rowid, title, content)
+          VALUES ('delete', old.id, old.title, old.content);
+          INSERT INTO posts_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+        END;
+      `, (err2) => {
+        if (err2) return callback(err2);
+
+        // index rows that existed before the FTS table was created
+        if (existing) return callback(null);
+        db.run(`INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')`, callback);
+      });
+    }
+  );
+}
+
+function down(db, callback) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS posts_fts_ai;
+    DROP TRIGGER IF EXISTS posts_fts_ad;
+    DROP TRIGGER IF EXISTS posts_fts_au;
+    DROP TABLE IF EXISTS posts_fts;
+  `, callback);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+function up(db, callback) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE
+    );
+
+    CREATE TABLE IF NOT EXISTS post_tags (
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (post_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_tags_tag ON post_tags(tag_id);
+  `, callback);
+}
+
+function down(db, callback) {
+  db.exec(`
+    DROP TABLE IF EXISTS post_tags;
+    DROP TABLE IF EXISTS tags;
+  `, callback);
+}
+
+module.exports = { up, down };
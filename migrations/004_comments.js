@@ -0,0 +1,26 @@
+function up(db, callback) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+      author_name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'spam')),
+      spam_reason TEXT,
+      ip TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id, status);
+    CREATE INDEX IF NOT EXISTS idx_comments_status ON comments(status, created_at);
+  `, callback);
+}
+
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS comments`, callback);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+function up(db, callback) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      rev INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      tags TEXT NOT NULL DEFAULT '[]',
+      author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      restored_from INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (post_id, rev)
+    );
+  `, callback);
+}
+
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS post_revisions`, callback);
+}
+
+module.exports = { up, down };
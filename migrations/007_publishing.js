@@ -0,0 +1,26 @@
+const { addMissingColumns, dropColumns } = require('../lib/migrate');
+
+// draft -> scheduled -> published -> archived; see cron.js for the scheduler
+function up(db, callback) {
+  addMissingColumns(db, 'posts', {
+    status: `TEXT NOT NULL DEFAULT 'published'
+      CHECK (status IN ('draft', 'scheduled', 'published', 'archived'))`,
+    publish_at: 'TEXT',
+    published_at: 'TEXT',
+  }, (err) => {
+    if (err) return callback(err);
+
+    db.exec(`
+      UPDATE posts SET published_at = created_at
+      WHERE status = 'published' AND published_at IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_posts_status_publish_at ON posts(status, publish_at);
+    `, callback);
+  });
+}
+
+function down(db, callback) {
+  dropColumns(db, 'posts', ['status', 'publish_at', 'published_at'], ['idx_posts_status_publish_at'], callback);
+}
+
+module.exports = { up, down };
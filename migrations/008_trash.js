@@ -0,0 +1,15 @@
+const { addMissingColumns, dropColumns } = require('../lib/migrate');
+
+// Soft delete: DELETE /api/posts/:id only sets deleted_at
+function up(db, callback) {
+  addMissingColumns(db, 'posts', { deleted_at: 'TEXT' }, (err) => {
+    if (err) return callback(err);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at)`, callback);
+  });
+}
+
+function down(db, callback) {
+  dropColumns(db, 'posts', ['deleted_at'], ['idx_posts_deleted_at'], callback);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+const { addMissingColumns, dropColumns, runEach } = require('../lib/migrate');
+const { renderContent } = require('../lib/markdown');
+
+// content keeps the source, content_html the sanitized rendering (lib/markdown.js)
+function up(db, callback) {
+  addMissingColumns(db, 'posts', {
+    content_format: `TEXT NOT NULL DEFAULT 'plain' CHECK (content_format IN ('plain', 'markdown'))`,
+    content_html: 'TEXT',
+  }, (err) => {
+    if (err) return callback(err);
+
+    addMissingColumns(db, 'post_revisions', { content_format: 'TEXT' }, (e2) => {
+      if (e2) return callback(e2);
+
+      // render rows written before content_html existed
+      db.all(`SELECT id, content, content_format FROM posts WHERE content_html IS NULL`, (e3, rows) => {
+        if (e3) return callback(e3);
+
+        runEach(
+          rows,
+          (row, next) =>
+            db.run(
+              `UPDATE posts SET content_html = ? WHERE id = ?`,
+              [renderContent(row.content, row.content_format), row.id],
+              next
+            ),
+          callback
+        );
+      });
+    });
+  });
+}
+
+function down(db, callback) {
+  dropColumns(db, 'post_revisions', ['content_format'], [], (err) => {
+    if (err) return callback(err);
+    dropColumns(db, 'posts', ['content_format', 'content_html'], [], callback);
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+const { addMissingColumns, dropColumns, runEach } = require('../lib/migrate');
+const { updatePostSlug } = require('../lib/slug');
+
+// Permalinks: every post gets a unique slug; slugs replaced by a rename keep
+// redirecting to the post through post_slug_redirects.
+function up(db, callback) {
+  addMissingColumns(db, 'posts', { slug: 'TEXT' }, (err) => {
+    if (err) return callback(err);
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_slug ON posts(slug);
+
+      CREATE TABLE IF NOT EXISTS post_slug_redirects (
+        slug TEXT PRIMARY KEY,
+        post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `, (e2) => {
+      if (e2) return callback(e2);
+
+      db.all(`SELECT id, title FROM posts WHERE slug IS NULL ORDER BY id`, (e3, rows) => {
+        if (e3) return callback(e3);
+        runEach(rows, (row, next) => updatePostSlug(db, row.id, row.title, next), callback);
+      });
+    });
+  });
+}
+
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS post_slug_redirects`, (err) => {
+    if (err) return callback(err);
+    dropColumns(db, 'posts', ['slug'], ['idx_posts_slug'], callback);
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+function up(db, callback) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT NOT NULL UNIQUE,
+      original_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      uploader_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `, callback);
+}
+
+// The files in data/uploads are left alone
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS media`, callback);
+}
+
+module.exports = { up, down };
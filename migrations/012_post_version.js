@@ -0,0 +1,12 @@
+const { addMissingColumns, dropColumns } = require('../lib/migrate');
+
+// Edit counter behind the post ETag; PUT/DELETE with a stale If-Match get 412
+function up(db, callback) {
+  addMissingColumns(db, 'posts', { version: 'INTEGER NOT NULL DEFAULT 1' }, callback);
+}
+
+function down(db, callback) {
+  dropColumns(db, 'posts', ['version'], [], callback);
+}
+
+module.exports = { up, down };
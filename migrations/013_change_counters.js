@@ -0,0 +1,42 @@
+// Table-level change counter behind the ETag / Last-Modified of GET
+// /api/posts. Triggers bump it on every write that can change what the post
+// endpoints return (the post rows, their tags, approved comment counts), so
+// cron jobs and hand-run SQL invalidate cached copies too.
+const TRACKED = ['posts', 'post_tags', 'comments'];
+const EVENTS = ['insert', 'update', 'delete'];
+
+const BUMP = `UPDATE change_counters SET value = value + 1, changed_at = datetime('now') WHERE name = 'posts';`;
+
+function triggerName(table, event) {
+  return `${table}_changed_${event}`;
+}
+
+function up(db, callback) {
+  const triggers = TRACKED.flatMap((table) => EVENTS.map((event) => `
+    CREATE TRIGGER IF NOT EXISTS ${triggerName(table, event)} AFTER ${event.toUpperCase()} ON ${table} BEGIN
+      ${BUMP}
+    END;
+  `));
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS change_counters (
+      name TEXT PRIMARY KEY,
+      value INTEGER NOT NULL DEFAULT 0,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT OR IGNORE INTO change_counters (name) VALUES ('posts');
+    ${triggers.join('')}
+  `, callback);
+}
+
+function down(db, callback) {
+  const drops = TRACKED.flatMap((table) => EVENTS.map((event) => `DROP TRIGGER IF EXISTS ${triggerName(table, event)};`));
+
+  db.exec(`
+    ${drops.join('\n    ')}
+    DROP TABLE IF EXISTS change_counters;
+  `, callback);
+}
+
+module.exports = { up, down };
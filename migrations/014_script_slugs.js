@@ -0,0 +1,19 @@
+const { runEach } = require('../lib/migrate');
+const { updatePostSlug } = require('../lib/slug');
+
+// Slugs made before slugify() kept non-Latin scripts intact broke up Persian
+// titles at hamza and madda ("مسئله" -> "مسي-له"). Every post gets its slug
+// again; a slug that changes keeps redirecting to the post.
+function up(db, callback) {
+  db.all(`SELECT id, title FROM posts ORDER BY id`, (err, rows) => {
+    if (err) return callback(err);
+    runEach(rows, (row, next) => updatePostSlug(db, row.id, row.title, next), callback);
+  });
+}
+
+// The new slugs are kept: the old ones still redirect to them
+function down(db, callback) {
+  callback();
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Token buckets of the SQLite rate limit store (lib/rate-limit.js), which
+// instances running side by side share. Times are milliseconds since the epoch;
+// full_at is when the bucket is full again and the row can go.
+function up(db, callback) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      key TEXT PRIMARY KEY,
+      tokens REAL NOT NULL,
+      allowed INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      full_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_full_at ON rate_limit_buckets(full_at);
+  `, callback);
+}
+
+function down(db, callback) {
+  db.run(`DROP TABLE IF EXISTS rate_limit_buckets`, callback);
+}
+
+module.exports = { up, down };
@@ -93,27 +93,92 @@ function showEducationalModal() {
           <div class="endpoint">
             <span class="method get">GET</span>
             <span class="path">/api/posts</span>
-            <span class="description">Get all blog posts</span>
+            <span class="description">List posts (limit, cursor, sort, order, date filters; 304 with If-None-Match)</span>
           </div>
           <div class="endpoint">
             <span class="method get">GET</span>
             <span class="path">/api/posts/:id</span>
-            <span class="description">Get single post by ID</span>
+            <span class="description">Get single post by ID or slug (content + sanitized content_html)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/search?q=</span>
+            <span class="description">Full-text search with highlighted snippets</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/tags</span>
+            <span class="description">Tags with usage counts (filter posts with ?tag=)</span>
           </div>
           <div class="endpoint">
             <span class="method post">POST</span>
             <span class="path">/api/posts</span>
             <span class="description">Create new post</span>
           </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/auth/login</span>
+            <span class="description">Log in (sets an HttpOnly session cookie)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/posts/:id/comments</span>
+            <span class="description">Approved comments as a thread</span>
+          </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/posts/:id/comments</span>
+            <span class="description">Add a comment (held for moderation)</span>
+          </div>
           <div class="endpoint">
             <span class="method put">PUT</span>
             <span class="path">/api/posts/:id</span>
-            <span class="description">Update existing post</span>
+            <span class="description">Update existing post (If-Match: ETag, 412 on conflict)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/posts/batch</span>
+            <span class="description">Create, update and delete many posts in one transaction</span>
+          </div>
+          <div class="endpoint">
+            <span class="method patch">PATCH</span>
+            <span class="path">/api/posts/:id</span>
+            <span class="description">Change some fields (merge-patch+json or json-patch+json)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/posts/:id/revisions</span>
+            <span class="description">Revision history (diff with /diff?from=&amp;to=)</span>
           </div>
           <div class="endpoint">
             <span class="method delete">DELETE</span>
             <span class="path">/api/posts/:id</span>
-            <span class="description">Delete post</span>
+            <span class="description">Move post to the trash (honours If-Match)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/media</span>
+            <span class="description">Upload an image or PDF (multipart field "file")</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/trash</span>
+            <span class="description">Trashed posts (restore with POST /api/posts/:id/restore)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/backups</span>
+            <span class="description">Take a database snapshot now (list them with GET)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method get">GET</span>
+            <span class="path">/api/export?format=json|markdown</span>
+            <span class="description">Download every post (JSON, or a zip of Markdown files)</span>
+          </div>
+          <div class="endpoint">
+            <span class="method post">POST</span>
+            <span class="path">/api/import</span>
+            <span class="description">Import an export (multipart field "file", ?dry_run=true to preview)</span>
           </div>
         </div>
       </div>
@@ -154,12 +219,15 @@ function setupModalControls() {
   const editCloseX = document.getElementById('close-edit-modal');
   if (editCloseX) editCloseX.addEventListener('click', () => closeModalById('edit-modal'));
 
-  // Click outside to close (both modals)
+  // Click outside to close (all modals)
   window.addEventListener('click', (event) => {
     if (event.target === eduModal) closeModalById('educational-modal');
 
     const editModal = document.getElementById('edit-modal');
     if (event.target === editModal) closeModalById('edit-modal');
+
+    const postModal = document.getElementById('post-modal');
+    if (event.target === postModal) window.blogApp?.view?.hidePostDetail();
   });
 
   // ESC closes open modals
@@ -167,6 +235,7 @@ function setupModalControls() {
     if (e.key === 'Escape') {
       closeModalById('educational-modal');
       closeModalById('edit-modal');
+      window.blogApp?.view?.hidePostDetail();
     }
   });
 }
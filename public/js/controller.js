@@ -4,26 +4,72 @@ class BlogController {
     this.view = view;
     this.isInitialized = false;
 
+    // The trash replaces the post list until it is closed again
+    this.trashOpen = false;
+
     // Bind methods to maintain context
     this.initialize = this.initialize.bind(this);
 
     this.loadPosts = this.loadPosts.bind(this);
+    this.loadMorePosts = this.loadMorePosts.bind(this);
 
     this.handlePostCreate = this.handlePostCreate.bind(this);
     this.handlePostUpdate = this.handlePostUpdate.bind(this);
     this.handlePostDelete = this.handlePostDelete.bind(this);
     this.handlePostEdit = this.handlePostEdit.bind(this);
+    this.handlePostStatusChange = this.handlePostStatusChange.bind(this);
+    this.handleBulkDelete = this.handleBulkDelete.bind(this);
+    this.handlePostsDeleted = this.handlePostsDeleted.bind(this);
 
     this.handleLoadingStart = this.handleLoadingStart.bind(this);
     this.handleLoadingEnd = this.handleLoadingEnd.bind(this);
     this.handleError = this.handleError.bind(this);
 
     this.handlePostsLoaded = this.handlePostsLoaded.bind(this);
+    this.handlePostsAppended = this.handlePostsAppended.bind(this);
+    this.handleLoadMoreChange = this.handleLoadMoreChange.bind(this);
     this.handlePostCreated = this.handlePostCreated.bind(this);
     this.handlePostUpdated = this.handlePostUpdated.bind(this);
     this.handlePostDeleted = this.handlePostDeleted.bind(this);
+    this.handlePostConflict = this.handlePostConflict.bind(this);
+    this.handleConflictResolve = this.handleConflictResolve.bind(this);
 
     this.handleViewInitialized = this.handleViewInitialized.bind(this);
+
+    this.handleSearch = this.handleSearch.bind(this);
+    this.handleSearchResults = this.handleSearchResults.bind(this);
+    this.handleSearchCleared = this.handleSearchCleared.bind(this);
+
+    this.handleTagFilter = this.handleTagFilter.bind(this);
+    this.handleTagsLoaded = this.handleTagsLoaded.bind(this);
+
+    this.handlePostOpen = this.handlePostOpen.bind(this);
+    this.handleCommentSubmit = this.handleCommentSubmit.bind(this);
+    this.handleCommentsLoaded = this.handleCommentsLoaded.bind(this);
+
+    this.handleLogin = this.handleLogin.bind(this);
+    this.handleLogout = this.handleLogout.bind(this);
+    this.handleAuthChanged = this.handleAuthChanged.bind(this);
+
+    this.handleHistoryOpen = this.handleHistoryOpen.bind(this);
+    this.handleRevisionCompare = this.handleRevisionCompare.bind(this);
+    this.handleRevisionRestore = this.handleRevisionRestore.bind(this);
+    this.handleRevisionsLoaded = this.handleRevisionsLoaded.bind(this);
+    this.handleRevisionDiffLoaded = this.handleRevisionDiffLoaded.bind(this);
+
+    this.handleTrashToggle = this.handleTrashToggle.bind(this);
+    this.handleTrashLoaded = this.handleTrashLoaded.bind(this);
+    this.handlePostRestore = this.handlePostRestore.bind(this);
+    this.handlePostRestored = this.handlePostRestored.bind(this);
+    this.handleTrashPurge = this.handleTrashPurge.bind(this);
+
+    this.handleMediaUpload = this.handleMediaUpload.bind(this);
+    this.handleMediaLibraryOpen = this.handleMediaLibraryOpen.bind(this);
+    this.handleMediaDelete = this.handleMediaDelete.bind(this);
+    this.handleMediaLoaded = this.handleMediaLoaded.bind(this);
+
+    this.handleImportFile = this.handleImportFile.bind(this);
+    this.handlePostsImported = this.handlePostsImported.bind(this);
   }
 
   // Initialization
@@ -39,7 +85,13 @@ class BlogController {
       this.setupViewObservers();
 
       await this.view.initialize();
+      await this.model.loadCurrentUser();
       await this.loadPosts();
+      this.model.loadTags();
+
+      // opened from a server-rendered /posts/:slug page
+      const slug = this.view.getPermalinkSlug();
+      if (slug) this.handlePostOpen(slug);
 
       this.isInitialized = true;
       console.log('Blog Controller initialized successfully');
@@ -54,9 +106,24 @@ class BlogController {
   setupModelObservers() {
     this.model.addObserver({
       onPostsLoaded: this.handlePostsLoaded,
+      onPostsAppended: this.handlePostsAppended,
+      onLoadMoreChange: this.handleLoadMoreChange,
+      onSearchResults: this.handleSearchResults,
+      onSearchCleared: this.handleSearchCleared,
+      onTagsLoaded: this.handleTagsLoaded,
+      onCommentsLoaded: this.handleCommentsLoaded,
+      onAuthChanged: this.handleAuthChanged,
+      onRevisionsLoaded: this.handleRevisionsLoaded,
+      onRevisionDiffLoaded: this.handleRevisionDiffLoaded,
+      onTrashLoaded: this.handleTrashLoaded,
+      onPostRestored: this.handlePostRestored,
+      onMediaLoaded: this.handleMediaLoaded,
       onPostCreated: this.handlePostCreated,
       onPostUpdated: this.handlePostUpdated,
       onPostDeleted: this.handlePostDeleted,
+      onPostsDeleted: this.handlePostsDeleted,
+      onPostsImported: this.handlePostsImported,
+      onPostConflict: this.handlePostConflict,
       onError: this.handleError,
       onLoadingStart: this.handleLoadingStart,
       onLoadingEnd: this.handleLoadingEnd,
@@ -69,7 +136,27 @@ class BlogController {
       onPostCreate: this.handlePostCreate,
       onPostUpdate: this.handlePostUpdate,
       onPostDelete: this.handlePostDelete,
+      onConflictResolve: this.handleConflictResolve,
       onPostEdit: this.handlePostEdit,
+      onPostStatusChange: this.handlePostStatusChange,
+      onBulkDelete: this.handleBulkDelete,
+      onLoadMore: this.loadMorePosts,
+      onSearch: this.handleSearch,
+      onTagFilter: this.handleTagFilter,
+      onPostOpen: this.handlePostOpen,
+      onCommentSubmit: this.handleCommentSubmit,
+      onLogin: this.handleLogin,
+      onLogout: this.handleLogout,
+      onHistoryOpen: this.handleHistoryOpen,
+      onRevisionCompare: this.handleRevisionCompare,
+      onRevisionRestore: this.handleRevisionRestore,
+      onTrashToggle: this.handleTrashToggle,
+      onPostRestore: this.handlePostRestore,
+      onTrashPurge: this.handleTrashPurge,
+      onMediaUpload: this.handleMediaUpload,
+      onMediaLibraryOpen: this.handleMediaLibraryOpen,
+      onMediaDelete: this.handleMediaDelete,
+      onImportFile: this.handleImportFile,
     });
   }
 
@@ -84,6 +171,171 @@ class BlogController {
     }
   }
 
+  async loadMorePosts() {
+    try {
+      await this.model.loadMorePosts();
+    } catch (error) {
+      console.error('Failed to load more posts:', error);
+    }
+  }
+
+  // Reloads the list and, while a search is active, the search results too
+  refreshPosts() {
+    this.loadPosts();
+    if (this.trashOpen) this.model.loadTrash().catch(() => {});
+    this.model.loadTags(); // usage counts / new tags
+    if (this.model.searchQuery) {
+      this.model.searchPosts(this.model.searchQuery).catch(() => {});
+    }
+  }
+
+  // Search
+  handleSearch(query) {
+    this.trashOpen = false;
+    this.model.search(query);
+  }
+
+  // Tag filter (null clears it)
+  async handleTagFilter(tag) {
+    try {
+      this.trashOpen = false;
+      this.view.renderActiveFilter(tag);
+      await this.model.filterByTag(tag);
+    } catch (error) {
+      console.error('Failed to filter posts by tag:', error);
+    }
+  }
+
+  // Auth
+  async handleLogin({ username, password }) {
+    try {
+      const user = await this.model.login(username, password);
+      this.view.showSuccess(`Welcome back, ${user.username}!`);
+    } catch (error) {
+      console.error('Failed to log in:', error);
+    }
+  }
+
+  async handleLogout() {
+    await this.model.logout();
+    this.view.showSuccess('Logged out.');
+  }
+
+  // Revision history (edit modal)
+  async handleHistoryOpen(postId) {
+    try {
+      await this.model.loadRevisions(postId);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    }
+  }
+
+  async handleRevisionCompare({ postId, from, to }) {
+    try {
+      await this.model.loadRevisionDiff(postId, from, to);
+    } catch (error) {
+      console.error('Failed to compare revisions:', error);
+    }
+  }
+
+  async handleRevisionRestore({ postId, rev }) {
+    try {
+      await this.model.restoreRevision(postId, rev);
+      this.view.hideEditModal();
+      this.view.showSuccess(`Revision #${rev} restored.`);
+    } catch (error) {
+      console.error('Failed to restore revision:', error);
+    }
+  }
+
+  // Trash
+  async handleTrashToggle(open) {
+    this.trashOpen = !!open;
+
+    if (!this.trashOpen) {
+      this.view.renderPosts(this.model.posts, this.model.hasMore);
+      return;
+    }
+
+    try {
+      await this.model.loadTrash();
+    } catch (error) {
+      this.trashOpen = false;
+      console.error('Failed to load trash:', error);
+    }
+  }
+
+  async handlePostRestore(postId) {
+    try {
+      await this.model.restorePost(postId);
+      this.view.showSuccess('Post restored.');
+    } catch (error) {
+      console.error('Failed to restore post:', error);
+    }
+  }
+
+  // postId null empties the whole trash
+  async handleTrashPurge(postId) {
+    try {
+      await this.model.purgeTrash(postId);
+      this.view.showSuccess(postId == null ? 'Trash emptied.' : 'Post deleted permanently.');
+    } catch (error) {
+      console.error('Failed to purge trash:', error);
+    }
+  }
+
+  // Media
+  async handleMediaUpload({ file, targetId }) {
+    try {
+      this.view.setMediaStatus(targetId, `Uploading ${file.name || 'file'}...`);
+      const media = await this.model.uploadMedia(file);
+      this.view.insertMediaReference(targetId, media);
+    } catch (error) {
+      console.error('Failed to upload media:', error);
+    } finally {
+      this.view.setMediaStatus(targetId, null);
+    }
+  }
+
+  async handleMediaLibraryOpen() {
+    try {
+      await this.model.loadMedia();
+    } catch (error) {
+      console.error('Failed to load media library:', error);
+    }
+  }
+
+  async handleMediaDelete(mediaId) {
+    try {
+      await this.model.deleteMedia(mediaId);
+    } catch (error) {
+      console.error('Failed to delete media:', error);
+    }
+  }
+
+  // Post detail + comments
+  async handlePostOpen(postId) {
+    try {
+      const post = this.model.getPostById(postId) || (await this.model.fetchPost(postId));
+      this.view.showPostDetail(post);
+      await this.model.loadComments(post.id);
+    } catch (error) {
+      console.error('Failed to open post:', error);
+      this.view.showError(error.message || 'Failed to open post. Please try again.');
+    }
+  }
+
+  // commentData shape: { postId, parent_id, author_name, body, website }
+  async handleCommentSubmit({ postId, ...commentData }) {
+    try {
+      await this.model.addComment(postId, commentData);
+      this.view.resetCommentForm();
+      this.view.showSuccess('Thanks! Your comment is awaiting moderation.');
+    } catch (error) {
+      console.error('Failed to post comment:', error);
+    }
+  }
+
   // Create
   async handlePostCreate(postData) {
     try {
@@ -94,27 +346,89 @@ class BlogController {
     } catch (error) {
       console.error('Failed to create post:', error);
       this.view.showError(error.message || 'Failed to create post. Please try again.');
+      if (error.fieldErrors?.length) this.view.showFieldErrors(error.fieldErrors);
     }
   }
 
   // Update
-  // updateData expected shape: { id, title, content, author? }
+  // updateData expected shape: { id, version, title, content, author? }
   async handlePostUpdate(updateData) {
     try {
       if (!updateData || updateData.id == null) {
         throw new Error('Missing post id for update');
       }
 
-      const { id, ...postData } = updateData;
+      const { id, version, ...postData } = updateData;
 
       console.log('Updating post:', id, postData);
-      await this.model.updatePost(id, postData);
+      await this.model.updatePost(id, postData, version);
 
+      this.view.hideEditModal();
       this.view.showSuccess('Post updated successfully!');
       // list refresh is already handled in handlePostUpdated
     } catch (error) {
+      // the conflict dialog takes over (see handlePostConflict)
+      if (error.conflict) return;
       console.error('Failed to update post:', error);
       this.view.showError(error.message || 'Failed to update post. Please try again.');
+      // the form stays open with the server's complaints next to the fields
+      if (error.fieldErrors?.length) this.view.showFieldErrors(error.fieldErrors, updateData.id);
+    }
+  }
+
+  // Publish / unpublish from the post card
+  async handlePostStatusChange({ id, status }) {
+    try {
+      if (id == null) throw new Error('Missing post id for status change');
+
+      await this.model.patchPost(id, { status });
+
+      this.view.showSuccess(status === 'published' ? 'Post published!' : 'Post moved back to drafts.');
+      // list refresh is already handled in handlePostUpdated
+    } catch (error) {
+      // nothing was written; show the post as it is now and let the user decide again
+      if (error.conflict) {
+        this.view.showError('Someone else changed this post in the meantime. The list now shows their version.');
+        this.refreshPosts();
+        return;
+      }
+      console.error('Failed to change post status:', error);
+      this.view.showError(error.message || 'Failed to change the post status. Please try again.');
+    }
+  }
+
+  // Bulk delete of the ticked posts, one batch request
+  async handleBulkDelete(postIds) {
+    try {
+      if (!postIds || postIds.length === 0) return;
+
+      const { deleted, failed } = await this.model.deletePosts(postIds);
+      this.view.clearSelection();
+
+      if (failed.length) {
+        this.view.showError(`${failed.length} post(s) could not be deleted: ${failed[0].error}`);
+      }
+      if (deleted.length) {
+        this.view.showUndoToast(`${deleted.length} post(s) moved to the trash.`, () =>
+          deleted.forEach((id) => this.handlePostRestore(id))
+        );
+      }
+    } catch (error) {
+      console.error('Failed to delete posts:', error);
+      this.view.showError(error.message || 'Failed to delete the selected posts. Please try again.');
+    }
+  }
+
+  // Import: a dry run first, then the real thing once the user agrees
+  async handleImportFile(file) {
+    try {
+      const preview = await this.model.importPosts(file, { dryRun: true });
+      if (!this.view.confirmImport(preview)) return;
+
+      const report = await this.model.importPosts(file);
+      this.view.showSuccess(`Imported ${report.created} post(s).`);
+    } catch (error) {
+      console.error('Failed to import posts:', error);
     }
   }
 
@@ -126,21 +440,23 @@ class BlogController {
       console.log('Deleting post with ID:', postId);
       await this.model.deletePost(postId);
 
-      this.view.showSuccess('Post deleted successfully!');
+      this.view.showUndoToast('Post moved to the trash.', () => this.handlePostRestore(postId));
       // list refresh is already handled in handlePostDeleted
     } catch (error) {
+      if (error.conflict) this.refreshPosts();
       console.error('Failed to delete post:', error);
       this.view.showError(error.message || 'Failed to delete post. Please try again.');
     }
   }
 
   // Edit (prepare edit UI)
-  handlePostEdit(postId) {
+  async handlePostEdit(postId) {
     try {
       if (postId == null) throw new Error('Missing post id for edit');
 
       console.log('Editing post with ID:', postId);
-      const post = this.model.getPostById(postId);
+      // search results may point at posts outside the loaded pages
+      const post = this.model.getPostById(postId) || (await this.model.fetchPost(postId));
 
       if (!post) {
         this.view.showError('Post not found.');
@@ -157,25 +473,112 @@ class BlogController {
   // Model event handlers
   handlePostsLoaded(posts) {
     console.log('Posts loaded:', posts?.length ?? 0);
-    this.view.renderPosts(posts || []);
+    if (this.model.searchQuery || this.trashOpen) return; // search results / trash stay on screen
+    this.view.renderPosts(posts || [], this.model.hasMore);
+  }
+
+  handlePostsAppended(posts) {
+    this.view.appendPosts(posts || [], this.model.hasMore);
+  }
+
+  handleLoadMoreChange(isLoadingMore) {
+    this.view.setLoadingMore(isLoadingMore);
+  }
+
+  handleSearchResults({ query, results }) {
+    this.view.renderSearchResults(results || [], query);
+  }
+
+  handleSearchCleared() {
+    if (this.trashOpen) return;
+    this.view.renderPosts(this.model.posts, this.model.hasMore);
+  }
+
+  handleTagsLoaded(tags) {
+    this.view.setTagSuggestions(tags || []);
+  }
+
+  handleAuthChanged(user) {
+    this.view.setCurrentUser(user);
+
+    // edit/delete buttons depend on who is logged in; the trash needs a login
+    if (this.trashOpen) {
+      this.trashOpen = false;
+      if (!user) this.view.renderPosts(this.model.posts, this.model.hasMore);
+      else this.handleTrashToggle(true);
+      return;
+    }
+    if (!this.model.searchQuery) this.view.renderPosts(this.model.posts, this.model.hasMore);
+  }
+
+  handleMediaLoaded(media) {
+    this.view.renderMediaLibrary(media || []);
+  }
+
+  handleTrashLoaded({ posts, retentionDays }) {
+    if (this.trashOpen) this.view.renderTrash(posts || [], retentionDays);
+  }
+
+  handleRevisionsLoaded({ postId, revisions }) {
+    this.view.renderRevisions(postId, revisions || []);
+  }
+
+  handleRevisionDiffLoaded(diff) {
+    this.view.renderRevisionDiff(diff);
+  }
+
+  handleCommentsLoaded({ postId, count, comments }) {
+    this.view.renderComments(postId, count, comments || []);
   }
 
   handlePostCreated(newPost) {
     console.log('Post created:', newPost?.id);
     this.view.clearForm();
-    this.loadPosts();
+    this.refreshPosts();
   }
 
   handlePostUpdated(updatedPost) {
     console.log('Post updated:', updatedPost?.id);
     this.view.clearForm();
-    this.loadPosts();
+    this.refreshPosts();
   }
 
   handlePostDeleted(deletedId) {
     console.log('Post deleted:', deletedId);
     this.view.clearForm();
-    this.loadPosts();
+    this.refreshPosts();
+  }
+
+  // Someone else saved the post since it was loaded
+  handlePostConflict({ mine, server }) {
+    this.view.showConflictDialog(mine, server);
+  }
+
+  // choice: 'mine' saves over the other change, 'server' drops ours
+  async handleConflictResolve({ choice, mine, server }) {
+    if (choice === 'server') {
+      this.view.hideEditModal();
+      this.view.showSuccess('Kept the saved version.');
+      this.refreshPosts();
+      return;
+    }
+
+    const { id, ...postData } = mine;
+    this.view.hideEditModal();
+    await this.handlePostUpdate({ id, version: server.version, ...postData });
+  }
+
+  handlePostsDeleted(deletedIds) {
+    this.refreshPosts();
+  }
+
+  handlePostsImported(report) {
+    this.refreshPosts();
+    this.model.loadTags();
+  }
+
+  handlePostRestored(restoredPost) {
+    this.refreshPosts();
   }
 
   // View event handlers
@@ -218,6 +621,10 @@ class BlogController {
     return {
       isInitialized: this.isInitialized,
       postsCount: this.model.posts.length,
+      hasMore: this.model.hasMore,
+      searchQuery: this.model.searchQuery,
+      tagFilter: this.model.listQuery.tag ?? null,
+      currentUser: this.model.currentUser,
       currentEditId: this.view.currentEditId,
       isLoading: this.model.isLoading,
     };
@@ -4,6 +4,45 @@ class BlogModel {
     this.observers = [];
     this.apiBaseUrl = '/api/posts';
     this.isLoading = false;
+
+    // Pagination state (cursor based, see GET /api/posts)
+    this.pageSize = 20;
+    this.listQuery = {}; // sort, order, created_from, ... passed through as-is
+    this.nextCursor = null;
+    this.hasMore = false;
+    this.isLoadingMore = false;
+
+    // Last response text + ETag per post URL, revalidated with If-None-Match
+    this.responseCache = new Map();
+    this.responseCacheSize = 50;
+
+    // Full-text search (see GET /api/search)
+    this.searchUrl = '/api/search';
+    this.searchQuery = '';
+    this.searchDelay = 300;
+    this._searchTimer = null;
+    this._searchAbort = null;
+
+    // Tags (see GET /api/tags)
+    this.tagsUrl = '/api/tags';
+    this.tags = [];
+
+    // Session (cookie based, see /api/auth)
+    this.authUrl = '/api/auth';
+    this.currentUser = null;
+
+    // Trash (see GET /api/trash); deleted posts stay there until purged
+    this.trashUrl = '/api/trash';
+    this.trash = [];
+    this.trashRetentionDays = null;
+
+    // Uploads (see /api/media)
+    this.mediaUrl = '/api/media';
+
+    // Export / import (see /api/export, /api/import), admins only
+    this.exportUrl = '/api/export';
+    this.importUrl = '/api/import';
+    this.media = [];
   }
 
   // Observer pattern implementation
@@ -24,17 +63,90 @@ class BlogModel {
   }
 
   // API Methods
-  async loadPosts() {
-    this.setLoading(true);
-    this.notifyObservers('onLoadingStart');
+  // The Error for a failed response. The API answers with problem details
+  // (application/problem+json): detail becomes the message, and code and the
+  // per-field errors[] of a validation problem come along as error.code and
+  // error.fieldErrors.
+  async problemError(response, fallback) {
+    let problem = null;
+    try {
+      problem = await response.json();
+    } catch (_) {}
+
+    const error = new Error(problem?.detail || fallback);
+    error.status = response.status;
+    error.code = problem?.code || null;
+    error.fieldErrors = Array.isArray(problem?.errors) ? problem.errors : [];
+    return error;
+  }
+
+  buildListUrl(cursor) {
+    const params = new URLSearchParams();
+    params.set('limit', String(this.pageSize));
 
+    Object.entries(this.listQuery).forEach(([key, value]) => {
+      if (value != null && value !== '') params.set(key, String(value));
+    });
+    if (cursor) params.set('cursor', cursor);
+
+    return `${this.apiBaseUrl}?${params.toString()}`;
+  }
+
+  // GET that sends back the ETag of the copy kept from last time; while
+  // nothing has changed the server answers 304 and that copy is reused.
+  // The browser cache is bypassed so it cannot answer in between.
+  async fetchCached(url) {
+    const cached = this.responseCache.get(url);
+    const response = await fetch(url, {
+      headers: cached ? { 'If-None-Match': cached.etag } : {},
+      cache: 'no-store',
+    });
+
+    if (response.status === 304 && cached) {
+      // re-insert so the least recently used entry is evicted first
+      this.responseCache.delete(url);
+      this.responseCache.set(url, cached);
+      // parsed anew each time: callers keep and change what they get back
+      return { ok: true, status: 200, body: JSON.parse(cached.text) };
+    }
+
+    const text = await response.text();
+    const etag = response.headers.get('ETag');
+    let body = null;
     try {
-      const response = await fetch(this.apiBaseUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to load posts (HTTP ${response.status})`);
+      body = JSON.parse(text);
+    } catch (_) {}
+
+    this.responseCache.delete(url);
+    if (response.ok && etag) {
+      this.responseCache.set(url, { etag, text });
+      if (this.responseCache.size > this.responseCacheSize) {
+        this.responseCache.delete(this.responseCache.keys().next().value);
       }
+    }
+    return { ok: response.ok, status: response.status, body };
+  }
+
+  async fetchPage(cursor) {
+    const { ok, status, body: page } = await this.fetchCached(this.buildListUrl(cursor));
+    if (!ok) {
+      throw new Error(page?.detail || `Failed to load posts (HTTP ${status})`);
+    }
+
+    this.nextCursor = page.pagination?.nextCursor ?? null;
+    this.hasMore = !!page.pagination?.hasMore;
+    return page.posts || [];
+  }
 
-      this.posts = await response.json();
+  // Loads the first page and resets the local cache
+  async loadPosts(query) {
+    if (query) this.listQuery = { ...query };
+
+    this.setLoading(true);
+    this.notifyObservers('onLoadingStart');
+
+    try {
+      this.posts = await this.fetchPage(null);
       this.notifyObservers('onPostsLoaded', this.posts);
       return this.posts;
     } catch (error) {
@@ -47,6 +159,294 @@ class BlogModel {
     }
   }
 
+  // Appends the next page (infinite scroll)
+  async loadMorePosts() {
+    if (!this.hasMore || this.isLoadingMore) return [];
+
+    this.isLoadingMore = true;
+    this.notifyObservers('onLoadMoreChange', true);
+
+    try {
+      const posts = await this.fetchPage(this.nextCursor);
+      this.posts = this.posts.concat(posts);
+      this.notifyObservers('onPostsAppended', posts);
+      return posts;
+    } catch (error) {
+      console.error('Error loading more posts:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.isLoadingMore = false;
+      this.notifyObservers('onLoadMoreChange', false);
+    }
+  }
+
+  async loadTags() {
+    try {
+      const response = await fetch(this.tagsUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load tags (HTTP ${response.status})`);
+      }
+
+      this.tags = await response.json();
+      this.notifyObservers('onTagsLoaded', this.tags);
+      return this.tags;
+    } catch (error) {
+      // tags only feed autocomplete; the app works without them
+      console.error('Error loading tags:', error);
+      return this.tags;
+    }
+  }
+
+  // Reloads the list restricted to one tag (null clears the filter)
+  filterByTag(tag) {
+    const { tag: _previous, ...rest } = this.listQuery;
+    return this.loadPosts(tag ? { ...rest, tag } : rest);
+  }
+
+  // Auth
+  async loadCurrentUser() {
+    try {
+      const response = await fetch(`${this.authUrl}/me`);
+      this.currentUser = response.ok ? (await response.json()).user : null;
+    } catch (error) {
+      console.error('Error loading current user:', error);
+      this.currentUser = null;
+    }
+
+    this.notifyObservers('onAuthChanged', this.currentUser);
+    return this.currentUser;
+  }
+
+  async login(username, password) {
+    try {
+      if (!username?.trim() || !password) {
+        throw new Error('Username and password are required');
+      }
+
+      const response = await fetch(`${this.authUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password }),
+      });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Login failed (HTTP ${response.status})`);
+      }
+
+      this.currentUser = (await response.json()).user;
+      this.notifyObservers('onAuthChanged', this.currentUser);
+      return this.currentUser;
+    } catch (error) {
+      console.error('Error logging in:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async logout() {
+    try {
+      await fetch(`${this.authUrl}/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+
+    this.currentUser = null;
+    this.notifyObservers('onAuthChanged', null);
+  }
+
+  // Mirrors the server rule: admins may change any post, authors their own
+  canModifyPost(post) {
+    const user = this.currentUser;
+    return !!user && (user.role === 'admin' || (post?.author_id != null && Number(post.author_id) === user.id));
+  }
+
+  // Comments
+  async loadComments(postId) {
+    const id = Number(postId);
+    if (!Number.isFinite(id)) throw new Error('Invalid post id');
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}/comments`);
+      if (!response.ok) {
+        throw new Error(`Failed to load comments (HTTP ${response.status})`);
+      }
+
+      const thread = await response.json();
+      this.notifyObservers('onCommentsLoaded', { postId: id, ...thread });
+      return thread;
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async addComment(postId, commentData) {
+    const id = Number(postId);
+    if (!Number.isFinite(id)) throw new Error('Invalid post id');
+
+    try {
+      if (!commentData.author_name?.trim() || !commentData.body?.trim()) {
+        throw new Error('Name and comment are required');
+      }
+
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(commentData),
+      });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to post comment (HTTP ${response.status})`);
+      }
+
+      const comment = await response.json();
+      this.notifyObservers('onCommentAdded', comment);
+      return comment;
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  // Revision history
+  async loadRevisions(postId) {
+    const id = Number(postId);
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}/revisions`);
+      if (!response.ok) {
+        throw new Error(`Failed to load history (HTTP ${response.status})`);
+      }
+
+      const revisions = await response.json();
+      this.notifyObservers('onRevisionsLoaded', { postId: id, revisions });
+      return revisions;
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async loadRevisionDiff(postId, from, to) {
+    const id = Number(postId);
+
+    try {
+      const params = new URLSearchParams({ from: String(from), to: String(to) });
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}/diff?${params}`);
+      if (!response.ok) {
+        throw new Error(`Failed to compare revisions (HTTP ${response.status})`);
+      }
+
+      const diff = await response.json();
+      this.notifyObservers('onRevisionDiffLoaded', diff);
+      return diff;
+    } catch (error) {
+      console.error('Error loading diff:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async restoreRevision(postId, rev) {
+    const id = Number(postId);
+    this.setLoading(true);
+
+    try {
+      const response = await fetch(
+        `${this.apiBaseUrl}/${encodeURIComponent(id)}/revisions/${encodeURIComponent(rev)}/restore`,
+        { method: 'POST' }
+      );
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to restore revision (HTTP ${response.status})`);
+      }
+
+      const restored = await response.json();
+      const idx = this.posts.findIndex((p) => Number(p.id) === id);
+      if (idx !== -1) this.posts[idx] = restored;
+
+      this.notifyObservers('onPostUpdated', restored);
+      return restored;
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  // postId may also be a slug (see /posts/:slug permalinks)
+  async fetchPost(postId) {
+    const key = String(postId ?? '').trim();
+    if (!key) throw new Error('Invalid post id');
+
+    const { ok, status, body } = await this.fetchCached(`${this.apiBaseUrl}/${encodeURIComponent(key)}`);
+    if (!ok) {
+      throw new Error(`Failed to load post (HTTP ${status})`);
+    }
+    return body;
+  }
+
+  // Debounced entry point for the search box
+  search(query) {
+    clearTimeout(this._searchTimer);
+    const q = String(query || '').trim();
+
+    if (!q) {
+      if (this._searchAbort) this._searchAbort.abort();
+      const wasSearching = !!this.searchQuery;
+      this.searchQuery = '';
+      if (wasSearching) this.notifyObservers('onSearchCleared');
+      return;
+    }
+
+    this._searchTimer = setTimeout(() => {
+      this.searchPosts(q).catch(() => {});
+    }, this.searchDelay);
+  }
+
+  async searchPosts(query) {
+    // only the latest request matters while the user is typing
+    if (this._searchAbort) this._searchAbort.abort();
+    const abort = new AbortController();
+    this._searchAbort = abort;
+    this.searchQuery = query;
+
+    try {
+      const params = new URLSearchParams({ q: this.toPrefixQuery(query) });
+      const response = await fetch(`${this.searchUrl}?${params.toString()}`, {
+        signal: abort.signal,
+      });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Search failed (HTTP ${response.status})`);
+      }
+
+      const data = await response.json();
+      this.notifyObservers('onSearchResults', { query, results: data.results || [] });
+      return data.results;
+    } catch (error) {
+      if (error.name === 'AbortError') return [];
+      console.error('Error searching posts:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      if (this._searchAbort === abort) this._searchAbort = null;
+    }
+  }
+
+  // Search-as-you-type: treat the word being typed as a prefix
+  toPrefixQuery(query) {
+    const quotes = (query.match(/"/g) || []).length;
+    if (quotes % 2 === 1 || /["*\s]$/.test(query)) return query;
+    return `${query}*`;
+  }
+
   async createPost(postData) {
     this.setLoading(true);
 
@@ -54,7 +454,7 @@ class BlogModel {
       // Validate post data
       const validationErrors = this.validatePostData(postData);
       if (validationErrors.length > 0) {
-        throw new Error(validationErrors.join('. '));
+        throw this.validationError(validationErrors);
       }
 
       const response = await fetch(this.apiBaseUrl, {
@@ -64,13 +464,7 @@ class BlogModel {
       });
 
       if (!response.ok) {
-        // try to parse API error body if present
-        let message = `Failed to create post (HTTP ${response.status})`;
-        try {
-          const errBody = await response.json();
-          if (errBody?.error) message = errBody.error;
-        } catch (_) {}
-        throw new Error(message);
+        throw await this.problemError(response, `Failed to create post (HTTP ${response.status})`);
       }
 
       const newPost = await response.json();
@@ -87,7 +481,9 @@ class BlogModel {
   }
 
   // ✅ COMPLETE: Update post
-  async updatePost(postId, postData) {
+  // `version` is the one the editor loaded; it goes out as If-Match, and a 412
+  // (someone saved in between) becomes onPostConflict instead of onError.
+  async updatePost(postId, postData, version) {
     this.setLoading(true);
 
     try {
@@ -98,35 +494,78 @@ class BlogModel {
 
       const validationErrors = this.validatePostData(postData);
       if (validationErrors.length > 0) {
-        throw new Error(validationErrors.join('. '));
+        throw this.validationError(validationErrors);
       }
 
       const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...this.ifMatch(version) },
         body: JSON.stringify(postData),
       });
 
+      if (response.status === 412) {
+        const { current } = await response.json();
+        this.replaceCachedPost(current);
+        this.notifyObservers('onPostConflict', { mine: { id, ...postData }, server: current });
+        throw this.conflictError(current);
+      }
+
       if (!response.ok) {
-        let message = `Failed to update post (HTTP ${response.status})`;
-        try {
-          const errBody = await response.json();
-          if (errBody?.error) message = errBody.error;
-        } catch (_) {}
-        throw new Error(message);
+        throw await this.problemError(response, `Failed to update post (HTTP ${response.status})`);
       }
 
       const updatedPost = await response.json();
 
       // Replace in local cache
-      const idx = this.posts.findIndex((p) => Number(p.id) === id);
-      if (idx !== -1) this.posts[idx] = updatedPost;
+      this.replaceCachedPost(updatedPost);
 
       this.notifyObservers('onPostUpdated', updatedPost);
       return updatedPost;
     } catch (error) {
       console.error('Error updating post:', error);
-      this.notifyObservers('onError', error.message);
+      if (!error.conflict) this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  // Partial update (PATCH as a JSON Merge Patch): only the fields in `changes`
+  // are sent, so whatever else was edited in the meantime is kept. With a
+  // `version`, a 412 means the post changed since and nothing was written.
+  async patchPost(postId, changes, version) {
+    this.setLoading(true);
+
+    try {
+      const id = Number(postId);
+      if (!Number.isFinite(id)) {
+        throw new Error('Invalid post id');
+      }
+
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/merge-patch+json', ...this.ifMatch(version) },
+        body: JSON.stringify(changes),
+      });
+
+      if (response.status === 412) {
+        const { current } = await response.json();
+        this.replaceCachedPost(current);
+        throw this.conflictError(current);
+      }
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to update post (HTTP ${response.status})`);
+      }
+
+      const updatedPost = await response.json();
+      this.replaceCachedPost(updatedPost);
+
+      this.notifyObservers('onPostUpdated', updatedPost);
+      return updatedPost;
+    } catch (error) {
+      console.error('Error patching post:', error);
+      if (!error.conflict) this.notifyObservers('onError', error.message);
       throw error;
     } finally {
       this.setLoading(false);
@@ -143,17 +582,20 @@ class BlogModel {
         throw new Error('Invalid post id');
       }
 
+      // deleting a post someone just changed needs a second look, too
       const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}`, {
         method: 'DELETE',
+        headers: this.ifMatch(this.getPostById(id)?.version),
       });
 
+      if (response.status === 412) {
+        const { current } = await response.json();
+        this.replaceCachedPost(current);
+        throw this.conflictError(current, 'This post was changed by someone else. Check the new version before deleting it.');
+      }
+
       if (!response.ok && response.status !== 204) {
-        let message = `Failed to delete post (HTTP ${response.status})`;
-        try {
-          const errBody = await response.json();
-          if (errBody?.error) message = errBody.error;
-        } catch (_) {}
-        throw new Error(message);
+        throw await this.problemError(response, `Failed to delete post (HTTP ${response.status})`);
       }
 
       // Remove from local cache
@@ -170,7 +612,238 @@ class BlogModel {
     }
   }
 
+  // Batch (see POST /api/posts/batch): resolves to one result per operation
+  async runBatch(operations, { atomic = true } = {}) {
+    const response = await fetch(`${this.apiBaseUrl}/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ atomic, operations }),
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (_) {}
+
+    // an atomic batch that failed still lists what happened to each operation
+    if (!body?.results) {
+      throw new Error(body?.detail || `Batch request failed (HTTP ${response.status})`);
+    }
+    return body.results;
+  }
+
+  // Moves several posts to the trash in one request. Each one succeeds or
+  // fails on its own; resolves to { deleted: [ids], failed: [{ id, error }] }.
+  async deletePosts(postIds) {
+    this.setLoading(true);
+
+    try {
+      const ids = postIds.map(Number);
+      const results = await this.runBatch(
+        ids.map((id) => ({ op: 'delete', id, version: this.getPostById(id)?.version })),
+        { atomic: false }
+      );
+
+      const deleted = results.filter((result) => result.trashed).map((result) => result.id);
+      const failed = results
+        .filter((result) => result.error)
+        .map((result) => ({ id: ids[result.index], error: result.error }));
+
+      // Remove from local cache
+      this.posts = this.posts.filter((p) => !deleted.includes(Number(p.id)));
+
+      this.notifyObservers('onPostsDeleted', deleted);
+      return { deleted, failed };
+    } catch (error) {
+      console.error('Error deleting posts:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  // Import (see POST /api/import): resolves to the report. A dry run changes
+  // nothing and only says what a real import would do.
+  async importPosts(file, { dryRun = false, keepTimestamps = true } = {}) {
+    this.setLoading(true);
+
+    try {
+      const body = new FormData();
+      body.append('file', file, file.name || 'import');
+      body.append('dry_run', String(dryRun));
+      body.append('keep_timestamps', String(keepTimestamps));
+
+      const response = await fetch(this.importUrl, { method: 'POST', body });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to import ${file.name || 'file'} (HTTP ${response.status})`);
+      }
+
+      const report = await response.json();
+      if (!dryRun) this.notifyObservers('onPostsImported', report);
+      return report;
+    } catch (error) {
+      console.error('Error importing posts:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
   // Utility methods
+  ifMatch(version) {
+    return version == null ? {} : { 'If-Match': `"${version}"` };
+  }
+
+  conflictError(current, message = 'This post was changed by someone else in the meantime') {
+    const error = new Error(message);
+    error.conflict = current;
+    return error;
+  }
+
+  // Shaped like problemError() for a validation problem, so both end up on the form fields
+  validationError(fieldErrors) {
+    const error = new Error(fieldErrors.map((fieldError) => fieldError.message).join('. '));
+    error.code = 'validation_failed';
+    error.fieldErrors = fieldErrors;
+    return error;
+  }
+
+  replaceCachedPost(post) {
+    const idx = this.posts.findIndex((p) => Number(p.id) === Number(post.id));
+    if (idx !== -1) this.posts[idx] = post;
+  }
+
+  // Trash
+  async loadTrash() {
+    try {
+      const response = await fetch(this.trashUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load the trash (HTTP ${response.status})`);
+      }
+
+      const data = await response.json();
+      this.trash = data.posts || [];
+      this.trashRetentionDays = data.retention_days ?? null;
+
+      this.notifyObservers('onTrashLoaded', { posts: this.trash, retentionDays: this.trashRetentionDays });
+      return this.trash;
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async restorePost(postId) {
+    const id = Number(postId);
+    this.setLoading(true);
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to restore post (HTTP ${response.status})`);
+      }
+
+      const restored = await response.json();
+      this.trash = this.trash.filter((p) => Number(p.id) !== id);
+
+      this.notifyObservers('onPostRestored', restored);
+      return restored;
+    } catch (error) {
+      console.error('Error restoring post:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  // Permanently deletes one trashed post, or the whole trash when postId is null
+  async purgeTrash(postId = null) {
+    const url = postId == null ? this.trashUrl : `${this.trashUrl}/${encodeURIComponent(Number(postId))}`;
+
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to delete permanently (HTTP ${response.status})`);
+      }
+
+      this.trash = postId == null ? [] : this.trash.filter((p) => Number(p.id) !== Number(postId));
+
+      this.notifyObservers('onTrashLoaded', { posts: this.trash, retentionDays: this.trashRetentionDays });
+      return true;
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  // Media library
+  async loadMedia() {
+    try {
+      const response = await fetch(this.mediaUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load media (HTTP ${response.status})`);
+      }
+
+      this.media = (await response.json()).media || [];
+      this.notifyObservers('onMediaLoaded', this.media);
+      return this.media;
+    } catch (error) {
+      console.error('Error loading media:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async uploadMedia(file) {
+    try {
+      const body = new FormData();
+      body.append('file', file, file.name || 'upload');
+
+      // no Content-Type header: the browser adds the multipart boundary
+      const response = await fetch(this.mediaUrl, { method: 'POST', body });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to upload ${file.name || 'file'} (HTTP ${response.status})`);
+      }
+
+      const media = await response.json();
+      this.media = [media, ...this.media.filter((item) => item.id !== media.id)];
+
+      this.notifyObservers('onMediaLoaded', this.media);
+      return media;
+    } catch (error) {
+      console.error('Error uploading media:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
+  async deleteMedia(mediaId) {
+    try {
+      const response = await fetch(`${this.mediaUrl}/${encodeURIComponent(Number(mediaId))}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        throw await this.problemError(response, `Failed to delete file (HTTP ${response.status})`);
+      }
+
+      this.media = this.media.filter((item) => item.id !== Number(mediaId));
+      this.notifyObservers('onMediaLoaded', this.media);
+      return true;
+    } catch (error) {
+      console.error('Error deleting media:', error);
+      this.notifyObservers('onError', error.message);
+      throw error;
+    }
+  }
+
   setLoading(loading) {
     this.isLoading = loading;
     this.notifyObservers('onLoadingChange', loading);
@@ -181,22 +854,9 @@ class BlogModel {
     return this.posts.find((post) => Number(post.id) === id);
   }
 
+  // The API's own rules (public/js/schema.js): [{ field, code, message }]
   validatePostData(postData) {
-    const errors = [];
-
-    if (!postData.title || postData.title.trim().length === 0) {
-      errors.push('Title is required');
-    } else if (postData.title.trim().length < 3) {
-      errors.push('Title must be at least 3 characters long');
-    }
-
-    if (!postData.content || postData.content.trim().length === 0) {
-      errors.push('Content is required');
-    } else if (postData.content.trim().length < 10) {
-      errors.push('Content must be at least 10 characters long');
-    }
-
-    return errors;
+    return BlogSchema.validatePost(postData);
   }
 
   formatDate(dateString) {
@@ -220,7 +880,7 @@ const modelExplanation = `
 <h3>Model (BlogModel)</h3>
 <ul>
   <li>Handles data and API calls (CRUD posts).</li>
-  <li>Stores local cache of posts.</li>
+  <li>Stores local cache of posts, one page at a time.</li>
   <li>Notifies observers (View/Controller) when data changes.</li>
 </ul>
 `;
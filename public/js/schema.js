@@ -0,0 +1,129 @@
+// Validation rules for posts, shared by the server (require('./public/js/schema'))
+// and the browser (<script src="/js/schema.js">, as window.BlogSchema), so a
+// form turns down exactly what the API would.
+//
+// validatePost(data) returns one { field, code, message } per invalid field,
+// an empty array when the post is fine. Data that is not an object at all
+// (e.g. a request without a JSON body) gets one invalid_type error whose
+// field is null. The codes are stable (the API sends
+// them in the errors[] of a validation problem); the messages are for people.
+//
+//   required        missing or blank
+//   invalid_type    e.g. tags that are not a list
+//   too_short       fewer characters than allowed
+//   too_long        more characters than allowed
+//   too_many        more tags than allowed
+//   invalid_choice  not one of the allowed values
+//   invalid_date    a publish date that cannot be read
+//   not_allowed     not allowed here, e.g. a publish date on a post that
+//                   is not scheduled
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BlogSchema = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // The server can raise contentMax (POST_MAX_CONTENT_LENGTH); the browser
+  // checks the default and shows what the server says beyond that
+  const POST_LIMITS = {
+    titleMin: 3,
+    titleMax: 200,
+    contentMin: 10,
+    contentMax: 100000,
+    tagsMax: 10,
+    tagMax: 32,
+  };
+
+  const CONTENT_FORMATS = ['plain', 'markdown'];
+  const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+  const LABELS = {
+    title: 'Title',
+    content: 'Content',
+    content_format: 'Format',
+    tags: 'Tags',
+    status: 'Status',
+    publish_at: 'Publish date',
+  };
+
+  // "Web Dev " -> "web-dev"; letters/digits in any script, "-" and "_" only
+  function normalizeTag(tag) {
+    return String(tag ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}_-]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // Normalized, without blanks and duplicates
+  function normalizeTags(tags) {
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  }
+
+  function isValidDate(value) {
+    return !Number.isNaN(new Date(String(value).trim()).getTime());
+  }
+
+  // partial: only the fields present are checked (PATCH); a present field
+  // that is null is then removed, which title, content, content_format and
+  // status cannot be. Otherwise title and content are required and the
+  // other fields may be left out.
+  function validatePost(data, { partial = false, limits = POST_LIMITS } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return [{ field: null, code: 'invalid_type', message: 'The post must be a JSON object' }];
+    }
+
+    const errors = [];
+    const add = (field, code, message) => errors.push({ field, code, message });
+
+    const checkText = (field, min, max) => {
+      const value = data[field];
+      if (value === undefined && partial) return;
+      if (value == null || (typeof value === 'string' && !value.trim())) {
+        return add(field, 'required', `${LABELS[field]} is required`);
+      }
+      if (typeof value !== 'string') return add(field, 'invalid_type', `${LABELS[field]} must be text`);
+
+      const length = value.trim().length;
+      if (length < min) add(field, 'too_short', `${LABELS[field]} must be at least ${min} characters long`);
+      else if (length > max) add(field, 'too_long', `${LABELS[field]} must be at most ${max} characters long`);
+    };
+
+    const checkChoice = (field, choices) => {
+      const value = data[field];
+      if (value === undefined || (value === null && !partial)) return;
+      if (value === null) return add(field, 'required', `${LABELS[field]} is required`);
+      if (!choices.includes(value)) {
+        add(field, 'invalid_choice', `${LABELS[field]} must be one of: ${choices.join(', ')}`);
+      }
+    };
+
+    checkText('title', limits.titleMin, limits.titleMax);
+    checkText('content', limits.contentMin, limits.contentMax);
+    checkChoice('content_format', CONTENT_FORMATS);
+    checkChoice('status', POST_STATUSES);
+
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags)) {
+        add('tags', 'invalid_type', 'Tags must be a list');
+      } else {
+        const tags = normalizeTags(data.tags);
+        if (tags.length > limits.tagsMax) {
+          add('tags', 'too_many', `A post can have at most ${limits.tagsMax} tags`);
+        } else if (tags.some((tag) => tag.length > limits.tagMax)) {
+          add('tags', 'too_long', `Tags must be at most ${limits.tagMax} characters long`);
+        }
+      }
+    }
+
+    const scheduled = data.status === 'scheduled';
+    if (data.publish_at != null && data.publish_at !== '') {
+      if (!scheduled) add('publish_at', 'not_allowed', 'A publish date is only allowed for scheduled posts');
+      else if (!isValidDate(data.publish_at)) add('publish_at', 'invalid_date', 'Publish date must be a valid date');
+    } else if (scheduled) {
+      add('publish_at', 'required', 'Scheduled posts need a publish date');
+    }
+
+    return errors;
+  }
+
+  return { POST_LIMITS, CONTENT_FORMATS, POST_STATUSES, normalizeTag, normalizeTags, validatePost };
+});
@@ -4,6 +4,19 @@ class BlogView {
     this.formContainer = null;
     this.loadingIndicator = null;
     this.errorContainer = null;
+    this.searchInput = null;
+    this.activeFilter = null;
+    this.authContainer = null;
+    this.trashToggle = null;
+
+    // Logged-in user ({ id, username, role }) or null
+    this.currentUser = null;
+
+    // Tag autocomplete source: [{ name, count }]
+    this.tagSuggestions = [];
+
+    // Last media library listing (see renderMediaLibrary)
+    this.mediaItems = [];
 
     this.currentEditId = null;
     this.observers = [];
@@ -11,6 +24,17 @@ class BlogView {
     this.editModal = null;
     this.editFormContainer = null;
 
+    this.postModal = null;
+    this.postDetailContainer = null;
+    this.detailPostId = null;
+
+    // Infinite scroll
+    this.scrollObserver = null;
+    this.scrollSentinel = null;
+
+    // Post ids ticked for bulk actions
+    this.selectedPostIds = new Set();
+
     // Internal flags to avoid double event binding
     this._postEventsBound = false;
     this._formEventsBound = false;
@@ -18,6 +42,7 @@ class BlogView {
 
     // Bind methods
     this.renderPosts = this.renderPosts.bind(this);
+    this.appendPosts = this.appendPosts.bind(this);
     this.renderPostForm = this.renderPostForm.bind(this);
 
     this.handleSubmit = this.handleSubmit.bind(this);
@@ -58,6 +83,7 @@ class BlogView {
   // Initialization
   initialize() {
     this.setupDOMElements();
+    this.renderAuth();
     this.renderPostForm();
     this.bindStaticEvents();
     this.notifyObservers('onViewInitialized');
@@ -68,10 +94,17 @@ class BlogView {
     this.formContainer = document.getElementById('form-container');
     this.loadingIndicator = document.getElementById('loading-indicator');
     this.errorContainer = document.getElementById('error-container');
+    this.searchInput = document.getElementById('search-input');
+    this.activeFilter = document.getElementById('active-filter');
+    this.authContainer = document.getElementById('auth-container');
+    this.trashToggle = document.getElementById('trash-toggle');
 
     this.editModal = document.getElementById('edit-modal');
     this.editFormContainer = document.getElementById('edit-form-container');
 
+    this.postModal = document.getElementById('post-modal');
+    this.postDetailContainer = document.getElementById('post-detail-container');
+
     if (!this.postsContainer || !this.formContainer || !this.loadingIndicator || !this.errorContainer) {
       throw new Error('Required DOM elements not found. Check HTML structure.');
     }
@@ -84,15 +117,109 @@ class BlogView {
       this.postsContainer.addEventListener('click', (e) => {
         const actionEl = e.target.closest('[data-action]');
         if (!actionEl) return;
+        if (actionEl.tagName === 'A') e.preventDefault(); // permalinks open in place
 
         const postId = Number(actionEl.dataset.postId);
         const actionType = actionEl.dataset.action;
 
+        if (actionType === 'filter-tag') this.notifyObservers('onTagFilter', actionEl.dataset.tag);
+        if (actionType === 'open') this.notifyObservers('onPostOpen', postId);
         if (actionType === 'edit') this.handleEdit(postId);
         if (actionType === 'delete') this.handleDelete(postId);
+        if (actionType === 'select') this.toggleSelection(postId, actionEl.checked);
+        if (actionType === 'bulk-delete') this.notifyObservers('onBulkDelete', [...this.selectedPostIds]);
+        if (actionType === 'clear-selection') this.clearSelection();
+        if (actionType === 'set-status') {
+          this.notifyObservers('onPostStatusChange', { id: postId, status: actionEl.dataset.status });
+        }
+        if (actionType === 'restore') this.notifyObservers('onPostRestore', postId);
+        if (actionType === 'purge') this.handlePurge(postId);
+        if (actionType === 'empty-trash') this.handlePurge(null);
+        if (actionType === 'close-trash') this.notifyObservers('onTrashToggle', false);
+      });
+    }
+
+    if (this.trashToggle && !this.trashToggle.dataset.bound) {
+      this.trashToggle.dataset.bound = '1';
+      this.trashToggle.addEventListener('click', () => this.notifyObservers('onTrashToggle', true));
+    }
+
+    if (this.searchInput && !this.searchInput.dataset.bound) {
+      this.searchInput.dataset.bound = '1';
+      this.searchInput.addEventListener('input', () => {
+        this.notifyObservers('onSearch', this.searchInput.value);
+      });
+    }
+
+    // Tag autocomplete for both the main form and the edit modal
+    [this.formContainer, this.editFormContainer].forEach((container) => {
+      if (!container || container.dataset.tagsBound) return;
+      container.dataset.tagsBound = '1';
+      container.addEventListener('input', (e) => {
+        if (e.target.name === 'tags') this.updateTagDatalist(e.target);
+        if (e.target.name === 'status') this.togglePublishAt(e.target.form);
+      });
+    });
+
+    if (this.activeFilter && !this.activeFilter.dataset.bound) {
+      this.activeFilter.dataset.bound = '1';
+      this.activeFilter.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="clear-tag"]')) {
+          this.notifyObservers('onTagFilter', null);
+        }
+      });
+    }
+
+    if (this.authContainer && !this.authContainer.dataset.bound) {
+      this.authContainer.dataset.bound = '1';
+      this.authContainer.addEventListener('submit', (e) => {
+        if (e.target.id !== 'login-form') return;
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        this.notifyObservers('onLogin', {
+          username: String(formData.get('username') || ''),
+          password: String(formData.get('password') || ''),
+        });
+      });
+      this.authContainer.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="logout"]')) this.notifyObservers('onLogout');
+      });
+      this.authContainer.addEventListener('change', (e) => {
+        if (e.target.dataset.action !== 'import' || !e.target.files?.length) return;
+
+        const [file] = e.target.files;
+        e.target.value = ''; // picking the same file again still fires
+        this.notifyObservers('onImportFile', file);
+      });
+    }
+
+    // Post detail panel: reply buttons + comment form
+    if (this.postDetailContainer && !this.postDetailContainer.dataset.bound) {
+      this.postDetailContainer.dataset.bound = '1';
+      this.postDetailContainer.addEventListener('click', (e) => {
+        const actionEl = e.target.closest('[data-action]');
+        if (!actionEl) return;
+
+        if (actionEl.dataset.action === 'reply') {
+          this.setReplyTarget(Number(actionEl.dataset.commentId), actionEl.dataset.author);
+        }
+        if (actionEl.dataset.action === 'cancel-reply') this.setReplyTarget(null);
+      });
+      this.postDetailContainer.addEventListener('submit', (e) => {
+        if (e.target.id === 'comment-form') this.handleCommentSubmit(e);
       });
     }
 
+    const closePostX = document.getElementById('close-post-modal');
+    if (closePostX && !closePostX.dataset.bound) {
+      closePostX.dataset.bound = '1';
+      closePostX.addEventListener('click', () => this.hidePostDetail());
+    }
+
+    this.bindEditModalEvents();
+    this.bindMediaEvents();
+
     // Close edit modal button (exists in HTML)
     const closeEditX = document.getElementById('close-edit-modal');
     if (closeEditX && !closeEditX.dataset.bound) {
@@ -101,8 +228,102 @@ class BlogView {
     }
   }
 
+  // Auth
+  setCurrentUser(user) {
+    this.currentUser = user || null;
+    this.renderAuth();
+    this.clearForm();
+  }
+
+  canModifyPost(post) {
+    const user = this.currentUser;
+    return !!user && (user.role === 'admin' || (post?.author_id != null && Number(post.author_id) === user.id));
+  }
+
+  renderAuth() {
+    if (this.trashToggle) this.trashToggle.style.display = this.currentUser ? '' : 'none';
+    if (!this.authContainer) return;
+
+    if (this.currentUser) {
+      this.authContainer.innerHTML = `
+        <span class="auth-user">
+          Signed in as <strong>${this.escapeHtml(this.currentUser.username)}</strong>
+          (${this.escapeHtml(this.currentUser.role)})
+        </span>
+        ${this.currentUser.role === 'admin' ? this.renderArchiveTools() : ''}
+        <button type="button" class="btn btn-secondary" data-action="logout">Log out</button>
+      `;
+      return;
+    }
+
+    this.authContainer.innerHTML = `
+      <form id="login-form" class="login-form" novalidate>
+        <input name="username" type="text" placeholder="Username" autocomplete="username" aria-label="Username" />
+        <input name="password" type="password" placeholder="Password" autocomplete="current-password" aria-label="Password" />
+        <button type="submit" class="btn btn-primary">Log in</button>
+      </form>
+    `;
+  }
+
+  // Export links and the import file picker (admins only)
+  renderArchiveTools() {
+    return `
+      <span class="archive-tools">
+        <a class="btn btn-secondary" href="/api/export?format=json" download>Export JSON</a>
+        <a class="btn btn-secondary" href="/api/export?format=markdown" download>Export Markdown</a>
+        <label class="btn btn-secondary">
+          Import…
+          <input type="file" accept=".json,.zip,application/json,application/zip" data-action="import" hidden />
+        </label>
+      </span>
+    `;
+  }
+
+  // Shows what a dry run found; true when the user wants to go ahead
+  confirmImport(report) {
+    const lines = [`${report.created} post(s) will be imported.`];
+    if (report.duplicates) lines.push(`${report.duplicates} already exist and will be skipped.`);
+    if (report.invalid) {
+      const first = report.items.find((item) => item.result === 'invalid');
+      lines.push(`${report.invalid} cannot be imported (${first.source}: ${first.error}).`);
+    }
+    if (!report.created) {
+      alert(lines.join('\n'));
+      return false;
+    }
+    return confirm(`${lines.join('\n')}\n\nImport now? Original dates are kept.`);
+  }
+
+  renderPostActions(post) {
+    if (!this.canModifyPost(post)) return '';
+
+    // one-click status change, sent as a PATCH of just the status
+    const toggle = post.status === 'published'
+      ? { status: 'draft', label: 'Unpublish', icon: '📝' }
+      : { status: 'published', label: 'Publish', icon: '🚀' };
+
+    return `
+      <button class="btn btn-status" data-action="set-status" data-status="${toggle.status}" data-post-id="${post.id}">
+        <span class="icon">${toggle.icon}</span> ${toggle.label}
+      </button>
+      <button class="btn btn-edit" data-action="edit" data-post-id="${post.id}">
+        <span class="icon">✏️</span> Edit
+      </button>
+      <button class="btn btn-delete" data-action="delete" data-post-id="${post.id}">
+        <span class="icon">🗑️</span> Delete
+      </button>
+    `;
+  }
+
   // Rendering
-  renderPosts(posts) {
+  renderPosts(posts, hasMore = false) {
+    this.disconnectScrollObserver();
+
+    // ticked posts that are no longer listed (filtered out, deleted) drop out
+    this.selectedPostIds = new Set(
+      [...this.selectedPostIds].filter((id) => (posts || []).some((post) => Number(post.id) === id))
+    );
+
     if (!posts || posts.length === 0) {
       this.postsContainer.innerHTML = `
         <div class="no-posts">
@@ -113,7 +334,177 @@ class BlogView {
       return;
     }
 
-    this.postsContainer.innerHTML = posts.map((post) => this.renderPostCard(post)).join('');
+    this.postsContainer.innerHTML = `
+      <div class="bulk-bar" hidden>
+        <span class="bulk-count"></span>
+        <button type="button" class="btn btn-delete" data-action="bulk-delete">
+          <span class="icon">🗑️</span> Delete selected
+        </button>
+        <button type="button" class="btn btn-secondary" data-action="clear-selection">Clear selection</button>
+      </div>
+      <div class="posts-list">
+        ${posts.map((post) => this.renderPostCard(post)).join('')}
+      </div>
+      <div class="scroll-sentinel" aria-hidden="true">
+        <span class="loading-more" style="display:none;">Loading more posts...</span>
+      </div>
+    `;
+
+    this.updateBulkBar();
+    this.setupScrollObserver(hasMore);
+  }
+
+  // Bulk selection
+  renderSelectBox(post) {
+    if (!this.canModifyPost(post)) return '';
+
+    const checked = this.selectedPostIds.has(Number(post.id)) ? 'checked' : '';
+    return `
+      <label class="post-select">
+        <input type="checkbox" data-action="select" data-post-id="${post.id}" ${checked} /> Select
+      </label>
+    `;
+  }
+
+  toggleSelection(postId, selected) {
+    if (selected) this.selectedPostIds.add(postId);
+    else this.selectedPostIds.delete(postId);
+    this.updateBulkBar();
+  }
+
+  clearSelection() {
+    this.selectedPostIds.clear();
+    this.postsContainer.querySelectorAll('[data-action="select"]').forEach((box) => (box.checked = false));
+    this.updateBulkBar();
+  }
+
+  updateBulkBar() {
+    const bar = this.postsContainer.querySelector('.bulk-bar');
+    if (!bar) return;
+
+    const count = this.selectedPostIds.size;
+    bar.hidden = count === 0;
+    bar.querySelector('.bulk-count').textContent = `${count} selected`;
+  }
+
+  // Adds the next page below the already rendered cards
+  appendPosts(posts, hasMore = false) {
+    const list = this.postsContainer.querySelector('.posts-list');
+    if (!list) return this.renderPosts(posts, hasMore);
+
+    list.insertAdjacentHTML('beforeend', posts.map((post) => this.renderPostCard(post)).join(''));
+    this.setupScrollObserver(hasMore);
+  }
+
+  // Trash: posts deleted by the current user (all of them for admins)
+  renderTrash(posts, retentionDays) {
+    this.disconnectScrollObserver();
+
+    const header = `
+      <div class="trash-header">
+        <h3>🗑️ Trash</h3>
+        <p class="trash-note">
+          ${retentionDays ? `Posts are deleted permanently ${retentionDays} days after being moved here.` : ''}
+        </p>
+        <div class="trash-actions">
+          <button type="button" class="btn btn-secondary" data-action="close-trash">← Back to posts</button>
+          ${posts.length ? '<button type="button" class="btn btn-delete" data-action="empty-trash">Empty trash</button>' : ''}
+        </div>
+      </div>
+    `;
+
+    if (!posts.length) {
+      this.postsContainer.innerHTML = `${header}<div class="no-posts"><h3>The trash is empty</h3></div>`;
+      return;
+    }
+
+    this.postsContainer.innerHTML = `
+      ${header}
+      <ul class="trash-list">
+        ${posts.map((post) => `
+          <li class="trash-item">
+            <div class="trash-item-info">
+              <strong>${this.escapeHtml(post.title)}</strong>
+              <span class="trash-item-meta">
+                Deleted ${this.formatDate(this.fromServerDate(post.deleted_at))}
+                · removed for good on ${this.formatDate(this.fromServerDate(post.purge_at))}
+              </span>
+            </div>
+            <div class="trash-item-actions">
+              <button type="button" class="btn btn-secondary" data-action="restore" data-post-id="${post.id}">Restore</button>
+              <button type="button" class="btn btn-delete" data-action="purge" data-post-id="${post.id}">Delete forever</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  setupScrollObserver(hasMore) {
+    this.disconnectScrollObserver();
+    if (!hasMore) return;
+
+    this.scrollSentinel = this.postsContainer.querySelector('.scroll-sentinel');
+    if (!this.scrollSentinel) return;
+
+    this.scrollObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          this.notifyObservers('onLoadMore');
+        }
+      },
+      { rootMargin: '400px 0px' }
+    );
+    this.scrollObserver.observe(this.scrollSentinel);
+  }
+
+  disconnectScrollObserver() {
+    if (this.scrollObserver) this.scrollObserver.disconnect();
+    this.scrollObserver = null;
+  }
+
+  // Search results: title_html / snippet_html are escaped by the server,
+  // only <mark> tags are added around the matches.
+  renderSearchResults(results, query) {
+    this.disconnectScrollObserver();
+
+    if (!results || results.length === 0) {
+      this.postsContainer.innerHTML = `
+        <div class="no-posts">
+          <h3>No matches</h3>
+          <p>Nothing found for "${this.escapeHtml(query)}".</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.postsContainer.innerHTML = `
+      <div class="posts-list">
+        ${results.map((result) => this.renderSearchResultCard(result)).join('')}
+      </div>
+    `;
+  }
+
+  renderSearchResultCard(result) {
+    return `
+      <article class="post-card search-result" data-post-id="${result.id}">
+        <div class="post-header">
+          <h2 class="post-title">${result.title_html}</h2>
+          <div class="post-meta">
+            <span class="post-date">${this.formatDate(result.created_at)}</span>
+          </div>
+        </div>
+        <div class="post-content">${result.snippet_html}</div>
+        <div class="post-actions">
+          ${this.renderPostActions(result)}
+        </div>
+      </article>
+    `;
+  }
+
+  setLoadingMore(isLoadingMore) {
+    const indicator = this.postsContainer.querySelector('.loading-more');
+    if (indicator) indicator.style.display = isLoadingMore ? 'inline-block' : 'none';
   }
 
   renderPostCard(post) {
@@ -126,36 +517,386 @@ class BlogView {
     return `
       <article class="post-card" data-post-id="${post.id}">
         <div class="post-header">
-          <h2 class="post-title">${this.escapeHtml(post.title)}</h2>
+          <h2 class="post-title">${this.renderPermalink(post)}</h2>
           <div class="post-meta">
             <span class="post-date">${formattedDate}</span>
             ${updatedBadge}
+            ${this.renderStatusBadge(post)}
           </div>
         </div>
-        <div class="post-content">
-          ${this.renderPostContent(post.content)}
+        <div class="${this.postContentClass(post)}">
+          ${this.renderPostBody(post)}
         </div>
+        ${this.renderTagChips(post.tags)}
         <div class="post-actions">
-          <button class="btn btn-edit" data-action="edit" data-post-id="${post.id}">
-            <span class="icon">✏️</span> Edit
-          </button>
-          <button class="btn btn-delete" data-action="delete" data-post-id="${post.id}">
-            <span class="icon">🗑️</span> Delete
+          ${this.renderSelectBox(post)}
+          <button class="btn btn-secondary btn-comments" data-action="open" data-post-id="${post.id}">
+            <span class="icon">💬</span> ${Number(post.comment_count) || 0}
           </button>
+          ${this.renderPostActions(post)}
+        </div>
+      </article>
+    `;
+  }
+
+  // Only non-public posts get a badge (editors see those in the list)
+  renderStatusBadge(post) {
+    if (!post.status || post.status === 'published') return '';
+
+    const label = post.status === 'scheduled' && post.publish_at
+      ? `Scheduled · ${this.formatDate(this.fromServerDate(post.publish_at))}`
+      : post.status.charAt(0).toUpperCase() + post.status.slice(1);
+
+    return `<span class="post-status status-${this.escapeHtml(post.status)}">${this.escapeHtml(label)}</span>`;
+  }
+
+  // prefix: '' for the main form, 'edit-' for the edit modal
+  renderPublishingFields(prefix, post) {
+    const status = post?.status || 'published';
+    const option = (value, label) =>
+      `<option value="${value}" ${status === value ? 'selected' : ''}>${label}</option>`;
+
+    return `
+      <div class="form-group">
+        <label for="${prefix}status">Status</label>
+        <select id="${prefix}status" name="status">
+          ${option('draft', 'Draft')}
+          ${option('published', 'Published')}
+          ${option('scheduled', 'Scheduled')}
+          ${option('archived', 'Archived')}
+        </select>
+      </div>
+
+      <div class="form-group" data-publish-at ${status === 'scheduled' ? '' : 'style="display:none;"'}>
+        <label for="${prefix}publish_at">Publish at</label>
+        <input id="${prefix}publish_at" name="publish_at" type="datetime-local"
+          value="${this.toLocalInputValue(post?.publish_at)}" />
+        <div id="${prefix}publish_at-error" class="field-error" style="display:none;"></div>
+      </div>
+    `;
+  }
+
+  togglePublishAt(form) {
+    const group = form?.querySelector('[data-publish-at]');
+    if (group) group.style.display = form.elements.status.value === 'scheduled' ? '' : 'none';
+  }
+
+  // status + publish_at (UTC ISO) from a post form
+  readPublishingFields(formData) {
+    const status = String(formData.get('status') || 'published');
+    const local = String(formData.get('publish_at') || '');
+    const date = local ? new Date(local) : null;
+
+    return {
+      status,
+      publish_at: status === 'scheduled' && date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    };
+  }
+
+  // Server timestamps are "YYYY-MM-DD HH:MM:SS" in UTC
+  fromServerDate(value) {
+    return value ? `${String(value).replace(' ', 'T')}Z` : '';
+  }
+
+  // UTC server timestamp -> "YYYY-MM-DDTHH:MM" in local time for datetime-local
+  toLocalInputValue(value) {
+    const date = new Date(this.fromServerDate(value));
+    if (!value || Number.isNaN(date.getTime())) return '';
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  renderTagChips(tags) {
+    if (!tags || tags.length === 0) return '';
+
+    const chips = tags
+      .map((tag) => `
+        <button type="button" class="tag-chip" data-action="filter-tag" data-tag="${this.escapeAttribute(tag)}">
+          #${this.escapeHtml(tag)}
+        </button>
+      `)
+      .join('');
+
+    return `<div class="post-tags">${chips}</div>`;
+  }
+
+  renderActiveFilter(tag) {
+    if (!this.activeFilter) return;
+
+    if (!tag) {
+      this.activeFilter.style.display = 'none';
+      this.activeFilter.innerHTML = '';
+      return;
+    }
+
+    this.activeFilter.innerHTML = `
+      <span>Showing posts tagged <strong>#${this.escapeHtml(tag)}</strong></span>
+      <button type="button" class="btn btn-secondary" data-action="clear-tag">Clear filter</button>
+    `;
+    this.activeFilter.style.display = 'flex';
+  }
+
+  // Post detail panel
+  showPostDetail(post) {
+    if (!this.postModal || !this.postDetailContainer) return;
+
+    this.detailPostId = Number(post.id);
+    this.setPermalink(post.slug);
+    this.postDetailContainer.innerHTML = `
+      <article class="post-detail">
+        <h2 class="post-title">${this.escapeHtml(post.title)}</h2>
+        <div class="post-meta">
+          <span class="post-date">${this.formatDate(post.created_at)}</span>
         </div>
+        <div class="${this.postContentClass(post)}">${this.renderPostBody(post)}</div>
+        ${this.renderTagChips(post.tags)}
       </article>
+
+      <section class="comments">
+        <h3 id="comments-heading">Comments</h3>
+        <div id="comments-thread" class="comments-thread">
+          <p class="comments-empty">Loading comments...</p>
+        </div>
+        ${this.renderCommentForm()}
+      </section>
+    `;
+    this.postModal.style.display = 'block';
+  }
+
+  hidePostDetail() {
+    if (this.postModal) this.postModal.style.display = 'none';
+    if (this.postDetailContainer) this.postDetailContainer.innerHTML = '';
+    this.detailPostId = null;
+    this.setPermalink(null);
+  }
+
+  // Permalinks: cards link to /posts/:slug, which the server renders for
+  // crawlers; in the app the same link opens the detail modal.
+  renderPermalink(post) {
+    const title = this.escapeHtml(post.title);
+    if (!post.slug) return title;
+
+    return `<a href="/posts/${encodeURIComponent(post.slug)}" class="post-permalink" data-action="open" data-post-id="${post.id}">${title}</a>`;
+  }
+
+  // Slug of the /posts/:slug page the app was loaded on, if any
+  getPermalinkSlug() {
+    const match = window.location.pathname.match(/^\/posts\/([^/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Keeps the address bar in sync with the open post (null = home)
+  setPermalink(slug) {
+    const url = slug ? `/posts/${encodeURIComponent(slug)}` : '/';
+    if (window.location.pathname !== url) window.history.replaceState(null, '', url);
+  }
+
+  renderComments(postId, count, comments) {
+    if (Number(postId) !== this.detailPostId) return; // panel was closed or switched
+
+    const heading = document.getElementById('comments-heading');
+    const thread = document.getElementById('comments-thread');
+    if (heading) heading.textContent = `Comments (${count})`;
+    if (!thread) return;
+
+    thread.innerHTML = comments.length
+      ? this.renderCommentList(comments)
+      : '<p class="comments-empty">No comments yet. Start the conversation!</p>';
+  }
+
+  renderCommentList(comments) {
+    return `
+      <ul class="comment-list">
+        ${comments.map((comment) => `
+          <li class="comment" data-comment-id="${comment.id}">
+            <div class="comment-meta">
+              <strong>${this.escapeHtml(comment.author_name)}</strong>
+              <span>${this.formatDate(comment.created_at)}</span>
+            </div>
+            <div class="comment-body">${this.renderPostContent(comment.body)}</div>
+            <button type="button" class="comment-reply" data-action="reply"
+              data-comment-id="${comment.id}" data-author="${this.escapeAttribute(comment.author_name)}">
+              Reply
+            </button>
+            ${comment.replies?.length ? this.renderCommentList(comment.replies) : ''}
+          </li>
+        `).join('')}
+      </ul>
     `;
   }
 
+  // `website` is a honeypot for bots; it is hidden from people
+  renderCommentForm() {
+    return `
+      <form id="comment-form" class="post-form comment-form" novalidate>
+        <input type="hidden" name="parent_id" value="" />
+        <div id="reply-target" class="reply-target" style="display:none;"></div>
+
+        <div class="form-group">
+          <label for="comment-author">Name</label>
+          <input id="comment-author" name="author_name" type="text" maxlength="60" />
+        </div>
+
+        <div class="form-group">
+          <label for="comment-body">Comment</label>
+          <textarea id="comment-body" name="body" rows="4" maxlength="2000"></textarea>
+        </div>
+
+        <div class="hp-field" aria-hidden="true">
+          <label for="comment-website">Website</label>
+          <input id="comment-website" name="website" type="text" tabindex="-1" autocomplete="off" />
+        </div>
+
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">Post Comment</button>
+        </div>
+      </form>
+    `;
+  }
+
+  setReplyTarget(commentId, author) {
+    const form = document.getElementById('comment-form');
+    const target = document.getElementById('reply-target');
+    if (!form || !target) return;
+
+    form.elements.parent_id.value = commentId ? String(commentId) : '';
+
+    if (!commentId) {
+      target.style.display = 'none';
+      target.innerHTML = '';
+      return;
+    }
+
+    target.innerHTML = `
+      Replying to <strong>${this.escapeHtml(author)}</strong>
+      <button type="button" class="comment-reply" data-action="cancel-reply">Cancel</button>
+    `;
+    target.style.display = 'block';
+    form.elements.body.focus();
+  }
+
+  handleCommentSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const parentId = String(formData.get('parent_id') || '');
+
+    const commentData = {
+      postId: this.detailPostId,
+      parent_id: parentId ? Number(parentId) : null,
+      author_name: String(formData.get('author_name') || '').trim(),
+      body: String(formData.get('body') || '').trim(),
+      website: String(formData.get('website') || ''),
+    };
+
+    if (!commentData.author_name || !commentData.body) {
+      this.showError('Please enter your name and a comment.');
+      return;
+    }
+
+    this.notifyObservers('onCommentSubmit', commentData);
+  }
+
+  resetCommentForm() {
+    const form = document.getElementById('comment-form');
+    if (!form) return;
+
+    const author = form.elements.author_name.value; // keep the name for the next comment
+    form.reset();
+    form.elements.author_name.value = author;
+    this.setReplyTarget(null);
+  }
+
+  // prefix: '' for the main form, 'edit-' for the edit modal
+  renderTagInput(prefix, tags) {
+    return `
+      <div class="form-group">
+        <label for="${prefix}tags">Tags</label>
+        <input id="${prefix}tags" name="tags" type="text" list="${prefix}tag-suggestions"
+          placeholder="Comma separated, e.g. javascript, sqlite" autocomplete="off"
+          value="${this.escapeAttribute((tags || []).join(', '))}" />
+        <datalist id="${prefix}tag-suggestions"></datalist>
+        <div id="${prefix}tags-error" class="field-error" style="display:none;"></div>
+      </div>
+    `;
+  }
+
+  setTagSuggestions(tags) {
+    this.tagSuggestions = tags;
+    document.querySelectorAll('input[name="tags"]').forEach((input) => this.updateTagDatalist(input));
+  }
+
+  // Suggests completions for the tag currently being typed; each option keeps
+  // the tags already entered so picking one does not wipe them out.
+  updateTagDatalist(input) {
+    const datalist = input.list;
+    if (!datalist) return;
+
+    const parts = input.value.split(',');
+    const current = parts.pop().trim().toLowerCase();
+    const chosen = parts.map((t) => t.trim().toLowerCase()).filter(Boolean);
+    const head = chosen.length ? `${chosen.join(', ')}, ` : '';
+
+    datalist.innerHTML = this.tagSuggestions
+      .filter(({ name }) => name.startsWith(current) && !chosen.includes(name))
+      .slice(0, 10)
+      .map(({ name, count }) => `
+        <option value="${this.escapeAttribute(`${head}${name}`)}">${this.escapeHtml(`${name} (${count})`)}</option>
+      `)
+      .join('');
+  }
+
+  parseTagInput(value) {
+    return String(value || '')
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
   renderPostContent(content) {
     const safe = this.escapeHtml(content || '');
     // keep it readable: preserve line breaks
     return safe.replaceAll('\n', '<br>');
   }
 
+  // content_html is rendered and sanitized by the server (lib/markdown.js);
+  // anything without it is treated as plain text.
+  renderPostBody(post) {
+    return post.content_html != null ? post.content_html : this.renderPostContent(post.content);
+  }
+
+  postContentClass(post) {
+    return post.content_format === 'markdown' ? 'post-content markdown-body' : 'post-content';
+  }
+
+  renderContentFormatField(prefix, format) {
+    const option = (value, label) =>
+      `<option value="${value}" ${format === value ? 'selected' : ''}>${label}</option>`;
+
+    return `
+      <div class="form-group">
+        <label for="${prefix}content_format">Format</label>
+        <select id="${prefix}content_format" name="content_format">
+          ${option('markdown', 'Markdown')}
+          ${option('plain', 'Plain text')}
+        </select>
+      </div>
+    `;
+  }
+
   renderPostForm() {
     const isEditing = !!this.currentEditId;
 
+    if (!this.currentUser) {
+      this.formContainer.innerHTML = `
+        <div class="login-required">
+          <p>Log in to write, edit or delete posts.</p>
+        </div>
+      `;
+      return;
+    }
+
     this.formContainer.innerHTML = `
       <form id="post-form" class="post-form" novalidate>
         <div class="form-group">
@@ -166,10 +907,17 @@ class BlogView {
 
         <div class="form-group">
           <label for="content">Content</label>
-          <textarea id="content" name="content" rows="6" placeholder="Write something..."></textarea>
+          <textarea id="content" name="content" rows="6" placeholder="Write something... (**bold**, _italic_, [links](https://...), lists, code)"></textarea>
           <div id="content-error" class="field-error" style="display:none;"></div>
+          ${this.renderMediaPicker('')}
         </div>
 
+        ${this.renderContentFormatField('', 'markdown')}
+
+        ${this.renderTagInput('', [])}
+
+        ${this.renderPublishingFields('', null)}
+
         <div class="form-actions">
           <button type="submit" class="btn btn-primary">
             ${isEditing ? 'Update Post' : 'Create Post'}
@@ -216,6 +964,9 @@ class BlogView {
     const postData = {
       title: String(formData.get('title') || '').trim(),
       content: String(formData.get('content') || '').trim(),
+      content_format: String(formData.get('content_format') || 'plain'),
+      tags: this.parseTagInput(formData.get('tags')),
+      ...this.readPublishingFields(formData),
     };
 
     this.clearFormErrors();
@@ -243,6 +994,7 @@ class BlogView {
     if (!postData) return;
     this.showEditModal();
     this.renderEditForm(postData);
+    this.updateTagDatalist(document.getElementById('edit-tags'));
     this.attachEditFormEventListeners();
   }
 
@@ -251,18 +1003,32 @@ class BlogView {
   }
 
   hideEditModal() {
+    this.conflict = null;
     if (this.editModal) this.editModal.style.display = 'none';
     if (this.editFormContainer) this.editFormContainer.innerHTML = '';
   }
 
   renderEditForm(postData) {
     this.editFormContainer.innerHTML = `
-      <form id="edit-post-form" class="post-form" novalidate>
-        <input type="hidden" name="id" value="${this.escapeHtml(String(postData.id))}" />
+      <div class="modal-tabs" role="tablist">
+        <button type="button" class="tab-btn active" data-tab="edit" data-post-id="${postData.id}">Edit</button>
+        <button type="button" class="tab-btn" data-tab="history" data-post-id="${postData.id}">History</button>
+      </div>
+
+      <div data-tab-panel="history" style="display:none;">
+        <div id="revision-list" class="revision-list">
+          <p class="comments-empty">Loading history...</p>
+        </div>
+        <div id="revision-diff" class="revision-diff"></div>
+      </div>
+
+      <form id="edit-post-form" class="post-form" data-tab-panel="edit" novalidate>
+        <input type="hidden" name="id" value="${this.escapeAttribute(String(postData.id))}" />
+        <input type="hidden" name="version" value="${this.escapeAttribute(String(postData.version ?? ''))}" />
 
         <div class="form-group">
           <label for="edit-title">Title</label>
-          <input id="edit-title" name="title" type="text" value="${this.escapeHtml(postData.title || '')}" />
+          <input id="edit-title" name="title" type="text" value="${this.escapeAttribute(postData.title || '')}" />
           <div id="edit-title-error" class="field-error" style="display:none;"></div>
         </div>
 
@@ -270,8 +1036,15 @@ class BlogView {
           <label for="edit-content">Content</label>
           <textarea id="edit-content" name="content" rows="6">${this.escapeHtml(postData.content || '')}</textarea>
           <div id="edit-content-error" class="field-error" style="display:none;"></div>
+          ${this.renderMediaPicker('edit-')}
         </div>
 
+        ${this.renderContentFormatField('edit-', postData.content_format || 'plain')}
+
+        ${this.renderTagInput('edit-', postData.tags)}
+
+        ${this.renderPublishingFields('edit-', postData)}
+
         <div class="form-actions">
           <button type="submit" class="btn btn-primary">Save Changes</button>
           <button type="button" id="cancel-edit-modal" class="btn btn-secondary">Cancel</button>
@@ -280,6 +1053,191 @@ class BlogView {
     `;
   }
 
+  // Edit conflict (PUT answered 412): both versions side by side. mine is what
+  // the user tried to save, server the copy someone else saved meanwhile.
+  showConflictDialog(mine, server) {
+    this.conflict = { mine, server };
+    this.showEditModal();
+
+    const side = (label, post, meta) => `
+      <section class="conflict-side">
+        <h4>${label}</h4>
+        ${meta ? `<div class="comment-meta">${meta}</div>` : ''}
+        <h5 class="conflict-title">${this.escapeHtml(post.title || '')}</h5>
+        <pre class="conflict-content">${this.escapeHtml(post.content || '')}</pre>
+        ${this.renderTagChips(post.tags)}
+      </section>
+    `;
+
+    this.editFormContainer.innerHTML = `
+      <div class="conflict-dialog">
+        <h3>This post was changed while you were editing it</h3>
+        <p class="conflict-intro">Keep your version, take the saved one, or combine them by hand.</p>
+
+        <div class="conflict-columns">
+          ${side('Your version', mine, '')}
+          ${side('Saved version', server, `<span>saved ${this.formatDate(server.updated_at)}</span>`)}
+        </div>
+
+        <div class="form-actions">
+          <button type="button" class="btn btn-primary" data-action="conflict-mine">Keep mine</button>
+          <button type="button" class="btn btn-secondary" data-action="conflict-server">Take saved version</button>
+          <button type="button" class="btn btn-secondary" data-action="conflict-merge">Merge by hand</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Edit form holding the user's text but the saved version number, with the
+  // saved copy above it to copy from
+  showMergeForm({ mine, server }) {
+    this.showEditForm({
+      ...server,
+      title: mine.title,
+      content: mine.content,
+      content_format: mine.content_format,
+      tags: mine.tags,
+      status: mine.status,
+      publish_at: mine.publish_at ? mine.publish_at.slice(0, 19).replace('T', ' ') : null,
+      version: server.version,
+    });
+
+    const form = document.getElementById('edit-post-form');
+    if (!form) return;
+
+    form.insertAdjacentHTML('afterbegin', `
+      <details class="conflict-reference" open>
+        <summary>Saved version (for reference)</summary>
+        <h5 class="conflict-title">${this.escapeHtml(server.title || '')}</h5>
+        <pre class="conflict-content">${this.escapeHtml(server.content || '')}</pre>
+        ${this.renderTagChips(server.tags)}
+      </details>
+    `);
+  }
+
+  // Edit modal tabs
+  switchEditTab(tab, postId) {
+    this.editFormContainer.querySelectorAll('[data-tab]').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    this.editFormContainer.querySelectorAll('[data-tab-panel]').forEach((panel) => {
+      panel.style.display = panel.dataset.tabPanel === tab ? '' : 'none';
+    });
+
+    if (tab === 'history') this.notifyObservers('onHistoryOpen', postId);
+  }
+
+  // revisions: newest first, as returned by GET /api/posts/:id/revisions
+  renderRevisions(postId, revisions) {
+    const list = document.getElementById('revision-list');
+    if (!list) return;
+
+    if (!revisions.length) {
+      list.innerHTML = '<p class="comments-empty">No history yet.</p>';
+      return;
+    }
+
+    const options = (selected) => revisions
+      .map((r) => `<option value="${r.rev}" ${r.rev === selected ? 'selected' : ''}>#${r.rev}</option>`)
+      .join('');
+
+    const latest = revisions[0].rev;
+    const previous = revisions[1] ? revisions[1].rev : latest;
+
+    list.innerHTML = `
+      <div class="revision-compare">
+        <label>From <select name="diff-from">${options(previous)}</select></label>
+        <label>To <select name="diff-to">${options(latest)}</select></label>
+        <button type="button" class="btn btn-secondary" data-action="compare" data-post-id="${postId}">Compare</button>
+      </div>
+
+      <ul class="revision-items">
+        ${revisions.map((r) => `
+          <li class="revision-item">
+            <div>
+              <strong>#${r.rev}</strong> ${this.escapeHtml(r.title)}
+              <div class="comment-meta">
+                <span>${this.formatDate(r.created_at)}</span>
+                ${r.author_username ? `<span>by ${this.escapeHtml(r.author_username)}</span>` : ''}
+                ${r.restored_from ? `<span>restored from #${r.restored_from}</span>` : ''}
+              </div>
+            </div>
+            ${r.rev === latest
+              ? '<span class="revision-current">Current</span>'
+              : `<button type="button" class="btn btn-secondary" data-action="restore-rev"
+                   data-post-id="${postId}" data-rev="${r.rev}">Restore</button>`}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+
+    if (revisions.length > 1) {
+      this.notifyObservers('onRevisionCompare', { postId, from: previous, to: latest });
+    }
+  }
+
+  renderRevisionDiff(diff) {
+    const container = document.getElementById('revision-diff');
+    if (!container) return;
+
+    const chunks = (parts) => parts
+      .map(({ type, text }) => {
+        const safe = this.escapeHtml(text);
+        if (type === 'insert') return `<ins>${safe}</ins>`;
+        if (type === 'delete') return `<del>${safe}</del>`;
+        return safe;
+      })
+      .join('');
+
+    const tagChanges = [
+      ...diff.tags.added.map((tag) => `<ins>#${this.escapeHtml(tag)}</ins>`),
+      ...diff.tags.removed.map((tag) => `<del>#${this.escapeHtml(tag)}</del>`),
+    ].join(' ');
+
+    container.innerHTML = `
+      <h3>Changes #${diff.from} → #${diff.to}</h3>
+      <h4 class="diff-title">${chunks(diff.title)}</h4>
+      <div class="diff-content">${chunks(diff.content)}</div>
+      ${tagChanges ? `<div class="diff-tags">Tags: ${tagChanges}</div>` : ''}
+    `;
+  }
+
+  bindEditModalEvents() {
+    if (!this.editFormContainer || this.editFormContainer.dataset.historyBound) return;
+    this.editFormContainer.dataset.historyBound = '1';
+
+    this.editFormContainer.addEventListener('click', (e) => {
+      const tabBtn = e.target.closest('[data-tab]');
+      if (tabBtn) {
+        this.switchEditTab(tabBtn.dataset.tab, Number(tabBtn.dataset.postId));
+        return;
+      }
+
+      const actionEl = e.target.closest('[data-action]');
+      if (!actionEl) return;
+      const postId = Number(actionEl.dataset.postId);
+
+      if (actionEl.dataset.action.startsWith('conflict-') && this.conflict) {
+        const choice = actionEl.dataset.action.slice('conflict-'.length);
+        if (choice === 'merge') this.showMergeForm(this.conflict);
+        else this.notifyObservers('onConflictResolve', { choice, ...this.conflict });
+        return;
+      }
+
+      if (actionEl.dataset.action === 'compare') {
+        const from = Number(this.editFormContainer.querySelector('[name="diff-from"]').value);
+        const to = Number(this.editFormContainer.querySelector('[name="diff-to"]').value);
+        this.notifyObservers('onRevisionCompare', { postId, from, to });
+      }
+
+      if (actionEl.dataset.action === 'restore-rev') {
+        const rev = Number(actionEl.dataset.rev);
+        if (!confirm(`Restore revision #${rev}? The current text is kept in the history.`)) return;
+        this.notifyObservers('onRevisionRestore', { postId, rev });
+      }
+    });
+  }
+
   attachEditFormEventListeners() {
     if (this._editEventsBound) return;
     this._editEventsBound = true;
@@ -299,9 +1257,13 @@ class BlogView {
 
     const formData = new FormData(e.target);
     const id = Number(formData.get('id'));
+    const version = formData.get('version') ? Number(formData.get('version')) : undefined;
     const postData = {
       title: String(formData.get('title') || '').trim(),
       content: String(formData.get('content') || '').trim(),
+      content_format: String(formData.get('content_format') || 'plain'),
+      tags: this.parseTagInput(formData.get('tags')),
+      ...this.readPublishingFields(formData),
     };
 
     this.clearEditFormErrors();
@@ -312,17 +1274,174 @@ class BlogView {
       return;
     }
 
-    this.notifyObservers('onPostUpdate', { id, ...postData });
-    this.hideEditModal();
+    // the modal closes once the post is saved (see BlogController.handlePostUpdate)
+    this.notifyObservers('onPostUpdate', { id, version, ...postData });
+  }
+
+  // Media picker (below the content textarea of both forms): drop or paste
+  // files to upload them, or pick from the library; both insert a Markdown
+  // reference at the cursor.
+  renderMediaPicker(prefix) {
+    return `
+      <div class="media-picker" data-media-target="${prefix}content">
+        <div class="media-dropzone">
+          <span class="media-status">Drop or paste images / PDFs here, or</span>
+          <label class="media-browse">
+            browse<input type="file" data-media-input accept="image/png,image/jpeg,image/gif,image/webp,application/pdf" hidden />
+          </label>
+          ·
+          <button type="button" class="media-library-toggle" data-action="media-library">Media library</button>
+        </div>
+        <div class="media-library" style="display:none;"></div>
+      </div>
+    `;
+  }
+
+  bindMediaEvents() {
+    [this.formContainer, this.editFormContainer].forEach((container) => {
+      if (!container || container.dataset.mediaBound) return;
+      container.dataset.mediaBound = '1';
+
+      // textarea id the picker under `el` (or the textarea itself) writes into
+      const targetOf = (el) =>
+        el.closest('.media-picker')?.dataset.mediaTarget ||
+        (el.name === 'content' && el.id) ||
+        null;
+
+      const upload = (files, targetId) => {
+        Array.from(files || []).forEach((file) => this.notifyObservers('onMediaUpload', { file, targetId }));
+      };
+
+      container.addEventListener('dragover', (e) => {
+        if (!targetOf(e.target) || !e.dataTransfer?.types?.includes('Files')) return;
+        e.preventDefault();
+        e.target.closest('.form-group')?.classList.add('media-dragover');
+      });
+
+      container.addEventListener('dragleave', (e) => {
+        e.target.closest('.form-group')?.classList.remove('media-dragover');
+      });
+
+      container.addEventListener('drop', (e) => {
+        const targetId = targetOf(e.target);
+        if (!targetId || !e.dataTransfer?.files?.length) return;
+        e.preventDefault();
+        e.target.closest('.form-group')?.classList.remove('media-dragover');
+        upload(e.dataTransfer.files, targetId);
+      });
+
+      container.addEventListener('paste', (e) => {
+        const files = e.clipboardData?.files;
+        if (e.target.name !== 'content' || !files?.length) return;
+        e.preventDefault();
+        upload(files, e.target.id);
+      });
+
+      container.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-media-input]')) return;
+        upload(e.target.files, targetOf(e.target));
+        e.target.value = '';
+      });
+
+      container.addEventListener('click', (e) => {
+        const actionEl = e.target.closest('[data-action]');
+        if (!actionEl) return;
+        const targetId = targetOf(actionEl);
+
+        if (actionEl.dataset.action === 'media-library') {
+          const library = actionEl.closest('.media-picker').querySelector('.media-library');
+          const open = library.style.display === 'none';
+          library.style.display = open ? '' : 'none';
+          if (open) this.notifyObservers('onMediaLibraryOpen', { targetId });
+        }
+
+        if (actionEl.dataset.action === 'insert-media') {
+          const media = this.mediaItems.find((item) => item.id === Number(actionEl.dataset.mediaId));
+          if (media) this.insertMediaReference(targetId, media);
+        }
+
+        if (actionEl.dataset.action === 'delete-media') {
+          if (!confirm('Delete this file? Posts that use it will show a broken link.')) return;
+          this.notifyObservers('onMediaDelete', Number(actionEl.dataset.mediaId));
+        }
+      });
+    });
   }
 
-  // Delete
+  // Fills every open library panel
+  renderMediaLibrary(media) {
+    this.mediaItems = media || [];
+
+    document.querySelectorAll('.media-picker .media-library').forEach((library) => {
+      if (!this.mediaItems.length) {
+        library.innerHTML = '<p class="comments-empty">No uploads yet.</p>';
+        return;
+      }
+
+      library.innerHTML = `
+        <ul class="media-grid">
+          ${this.mediaItems.map((item) => `
+            <li class="media-item">
+              <button type="button" class="media-thumb" data-action="insert-media" data-media-id="${item.id}"
+                title="Insert ${this.escapeAttribute(item.original_name)}">
+                ${
+                  item.mime_type.startsWith('image/')
+                    ? `<img src="${this.escapeAttribute(item.url)}" alt="${this.escapeAttribute(item.original_name)}" loading="lazy" />`
+                    : `<span class="media-file">📄 ${this.escapeHtml(item.original_name)}</span>`
+                }
+              </button>
+              <button type="button" class="media-delete" data-action="delete-media" data-media-id="${item.id}"
+                aria-label="Delete ${this.escapeAttribute(item.original_name)}">×</button>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    });
+  }
+
+  setMediaStatus(targetId, message) {
+    const picker = document.querySelector(`.media-picker[data-media-target="${targetId}"]`);
+    const status = picker?.querySelector('.media-status');
+    if (status) status.textContent = message || 'Drop or paste images / PDFs here, or';
+  }
+
+  // Inserts ![name](url) (or a plain link for PDFs) at the cursor and
+  // switches the form to Markdown so the reference renders
+  insertMediaReference(targetId, media) {
+    const textarea = document.getElementById(targetId);
+    if (!textarea) return;
+
+    const label = media.original_name.replace(/[[\]]/g, '');
+    const reference = media.mime_type.startsWith('image/') ? `![${label}](${media.url})` : `[${label}](${media.url})`;
+
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? start;
+    const before = textarea.value.slice(0, start);
+    const spacer = before && !before.endsWith('\n') ? '\n' : '';
+
+    textarea.value = `${before}${spacer}${reference}\n${textarea.value.slice(end)}`;
+    const cursor = before.length + spacer.length + reference.length + 1;
+    textarea.setSelectionRange(cursor, cursor);
+    textarea.focus();
+
+    const format = textarea.form?.elements.content_format;
+    if (format) format.value = 'markdown';
+  }
+
+  // Delete: posts go to the trash, so no confirmation (an undo toast follows)
   handleDelete(postId) {
-    const ok = confirm('Delete this post? This cannot be undone.');
-    if (!ok) return;
     this.notifyObservers('onPostDelete', postId);
   }
 
+  // Permanent delete from the trash (postId null empties it)
+  handlePurge(postId) {
+    const message = postId == null
+      ? 'Empty the trash? These posts will be deleted permanently.'
+      : 'Delete this post permanently? This cannot be undone.';
+    if (!confirm(message)) return;
+    this.notifyObservers('onTrashPurge', postId);
+  }
+
   // Form utilities (main form)
   clearForm() {
     const form = document.getElementById('post-form');
@@ -336,18 +1455,9 @@ class BlogView {
     this.clearForm();
   }
 
+  // Same rules as the API (public/js/schema.js): [{ field, code, message }]
   validateForm(postData) {
-    const errors = [];
-
-    if (!postData.title || postData.title.length < 3) {
-      errors.push({ field: 'title', message: 'Title must be at least 3 characters long' });
-    }
-
-    if (!postData.content || postData.content.length < 10) {
-      errors.push({ field: 'content', message: 'Content must be at least 10 characters long' });
-    }
-
-    return errors;
+    return BlogSchema.validatePost(postData);
   }
 
   displayFormErrors(errors) {
@@ -365,7 +1475,7 @@ class BlogView {
 
   clearFormErrors() {
     // Only clear our field errors, not global error container
-    ['title', 'content'].forEach((field) => {
+    ['title', 'content', 'tags', 'publish_at'].forEach((field) => {
       const err = document.getElementById(`${field}-error`);
       const input = document.getElementById(field);
       if (err) {
@@ -376,9 +1486,31 @@ class BlogView {
     });
   }
 
+  // Field errors the server sent back (the errors[] of a validation problem)
+  // on the form they belong to: the main form for a new post (postId null),
+  // whichever form is editing the post otherwise. Fields the form has no
+  // message slot for, or a post no form is editing any more, only show up in
+  // the error banner.
+  showFieldErrors(errors, postId = null) {
+    const editForm = document.getElementById('edit-post-form');
+    let prefix = null;
+    if (postId != null && editForm && Number(editForm.elements.id?.value) === Number(postId)) prefix = 'edit-';
+    else if (postId == null || Number(this.currentEditId) === Number(postId)) prefix = '';
+    if (prefix === null) return;
+
+    const placed = errors.filter((error) => document.getElementById(`${prefix}${error.field}-error`));
+    if (prefix) {
+      this.clearEditFormErrors();
+      this.displayEditFormErrors(placed);
+    } else {
+      this.clearFormErrors();
+      this.displayFormErrors(placed);
+    }
+  }
+
   // Edit form errors
   clearEditFormErrors() {
-    ['title', 'content'].forEach((field) => {
+    ['title', 'content', 'tags', 'publish_at'].forEach((field) => {
       const err = document.getElementById(`edit-${field}-error`);
       const input = document.getElementById(`edit-${field}`);
       if (err) {
@@ -448,6 +1580,28 @@ class BlogView {
     setTimeout(() => successDiv.remove(), 3000);
   }
 
+  // Like showSuccess, with an Undo button that calls onUndo once
+  showUndoToast(message, onUndo, duration = 8000) {
+    const toast = document.createElement('div');
+    toast.className = 'success-message undo-toast';
+    toast.innerHTML = `
+      <span class="success-text">${this.escapeHtml(message)}</span>
+      <button type="button" class="undo-button">Undo</button>
+    `;
+    document.body.appendChild(toast);
+
+    const timer = setTimeout(() => toast.remove(), duration);
+    toast.querySelector('.undo-button').addEventListener(
+      'click',
+      () => {
+        clearTimeout(timer);
+        toast.remove();
+        onUndo();
+      },
+      { once: true }
+    );
+  }
+
   // Utilities
   formatDate(dateString) {
     const date = new Date(dateString);
@@ -466,6 +1620,12 @@ class BlogView {
     div.textContent = String(text ?? '');
     return div.innerHTML;
   }
+
+  // For values inside attributes: escapeHtml() leaves quotes alone, and a
+  // quote would end the attribute
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
 }
 
 // Prevent ReferenceError
@@ -0,0 +1,262 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// The API over HTTP: app.js runs in a child process, with a database of its
+// own in a temporary DATA_DIR and rate limits off.
+
+const APP = path.join(__dirname, '..', 'app.js');
+const ADMIN = { username: 'admin', password: 'secret123' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Resolves once the server listens: { url, stop() }
+async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [APP], {
+    env: {
+      ...process.env,
+      DATA_DIR: dir,
+      PORT: String(port),
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      RATE_LIMITS: 'off',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const exited = new Promise((resolve) => child.on('exit', resolve));
+  const stop = async () => {
+    if (child.exitCode === null) child.kill('SIGTERM');
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => (stderr += chunk));
+  try {
+    await new Promise((resolve, reject) => {
+      // the log keeps coming, so stdout has to be read to the end
+      child.stdout.on('data', (chunk) => {
+        if (chunk.toString().includes('"msg":"Server running"')) resolve();
+      });
+      exited.then((code) => reject(new Error(`app.js exited with ${code}: ${stderr}`)));
+    });
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+
+  return { url: `http://127.0.0.1:${port}`, stop };
+}
+
+// fetch() with the session cookie of `client`; resolves to { status, headers, body }
+async function request(client, method, url, { body, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (client.cookie) init.headers.Cookie = client.cookie;
+  if (body instanceof FormData) {
+    init.body = body;
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  const res = await fetch(client.url + url, init);
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+async function signIn(url, { username, password }) {
+  const res = await fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  assert.equal(res.status, 200);
+  return { url, cookie: res.headers.getSetCookie()[0].split(';')[0] };
+}
+
+function newPost(overrides = {}) {
+  return { title: 'Hello world', content: 'Some content here', ...overrides };
+}
+
+// Titles of every post the admin can see
+async function titles() {
+  const { body } = await request(admin, 'GET', '/api/posts?limit=100');
+  return body.posts.map((post) => post.title);
+}
+
+let server;
+let admin;
+
+test.before(async () => {
+  server = await startServer();
+  admin = await signIn(server.url, ADMIN);
+});
+
+test.after(() => server?.stop());
+
+test.describe('optimistic concurrency', () => {
+  test('a PUT naming an old version answers 412 with the current post and writes nothing', async () => {
+    const created = await request(admin, 'POST', '/api/posts', { body: newPost() });
+    assert.equal(created.status, 201);
+    const { id } = created.body;
+    const firstEtag = created.headers.get('ETag');
+
+    const updated = await request(admin, 'PUT', `/api/posts/${id}`, {
+      body: newPost({ title: 'First edit' }),
+      headers: { 'If-Match': firstEtag },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, 2);
+
+    // a second editor still holding the first version
+    const stale = await request(admin, 'PUT', `/api/posts/${id}`, {
+      body: newPost({ title: 'Second edit' }),
+      headers: { 'If-Match': firstEtag },
+    });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.headers.get('Content-Type'), 'application/problem+json; charset=utf-8');
+    assert.equal(stale.body.code, 'edit_conflict');
+    assert.equal(stale.body.current.title, 'First edit');
+    assert.equal(stale.body.current.version, 2);
+    assert.equal(stale.headers.get('ETag'), updated.headers.get('ETag'));
+
+    const current = await request(admin, 'GET', `/api/posts/${id}`);
+    assert.equal(current.body.title, 'First edit');
+    assert.equal(current.body.version, 2);
+  });
+});
+
+test.describe('PATCH', () => {
+  test('a JSON Patch whose test op fails answers 409 and applies none of its ops', async () => {
+    const { body: post } = await request(admin, 'POST', '/api/posts', { body: newPost({ tags: ['a'] }) });
+
+    const res = await request(admin, 'PATCH', `/api/posts/${post.id}`, {
+      headers: { 'Content-Type': 'application/json-patch+json' },
+      body: [
+        { op: 'replace', path: '/title', value: 'Patched title' },
+        { op: 'test', path: '/tags', value: ['b'] },
+      ],
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'patch_test_failed');
+
+    const current = await request(admin, 'GET', `/api/posts/${post.id}`);
+    assert.equal(current.body.title, 'Hello world');
+    assert.equal(current.body.version, 1);
+
+    const passing = await request(admin, 'PATCH', `/api/posts/${post.id}`, {
+      headers: { 'Content-Type': 'application/json-patch+json' },
+      body: [
+        { op: 'test', path: '/tags', value: ['a'] },
+        { op: 'replace', path: '/title', value: 'Patched title' },
+      ],
+    });
+    assert.equal(passing.status, 200);
+    assert.equal(passing.body.title, 'Patched title');
+  });
+});
+
+test.describe('batch', () => {
+  test('an atomic batch with a failing operation rolls back the ones before it', async () => {
+    const { body: kept } = await request(admin, 'POST', '/api/posts', { body: newPost({ title: 'Kept post' }) });
+    const { body: edited } = await request(admin, 'POST', '/api/posts', { body: newPost({ title: 'Edited post' }) });
+
+    const res = await request(admin, 'POST', '/api/posts/batch', {
+      body: {
+        operations: [
+          { op: 'create', data: newPost({ title: 'Rolled back post' }) },
+          { op: 'delete', id: kept.id },
+          { op: 'update', id: edited.id, data: newPost({ title: 'Rolled back edit' }) },
+          { op: 'update', id: edited.id, data: newPost({ title: 'Too late' }), version: 1 },
+        ],
+      },
+    });
+    assert.equal(res.status, 412);
+    assert.equal(res.body.code, 'edit_conflict');
+    assert.equal(res.body.committed, false);
+    assert.deepEqual(res.body.results.map((result) => result.status), [424, 424, 424, 412]);
+
+    assert.equal((await request(admin, 'GET', `/api/posts/${kept.id}`)).status, 200);
+    const current = await request(admin, 'GET', `/api/posts/${edited.id}`);
+    assert.equal(current.body.title, 'Edited post');
+    assert.equal(current.body.version, 1);
+
+    assert.ok(!(await titles()).includes('Rolled back post'));
+  });
+});
+
+test.describe('import', () => {
+  test('a dry run reports what an import would do and writes nothing', async () => {
+    const { body: existing } = await request(admin, 'POST', '/api/posts', { body: newPost({ title: 'Already here' }) });
+    const before = await titles();
+
+    const file = JSON.stringify({
+      format: 'blog-export',
+      version: 1,
+      posts: [
+        newPost({ title: 'Imported post' }),
+        newPost({ title: 'Imported post' }),
+        newPost({ title: 'Already here' }),
+        newPost({ title: 'No' }),
+      ],
+    });
+    const form = new FormData();
+    form.append('file', new Blob([file], { type: 'application/json' }), 'export.json');
+    form.append('dry_run', 'true');
+
+    const res = await request(admin, 'POST', '/api/import', { body: form });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.deepEqual(
+      { created: res.body.created, duplicates: res.body.duplicates, invalid: res.body.invalid },
+      { created: 1, duplicates: 2, invalid: 1 }
+    );
+    assert.deepEqual(res.body.items.map((item) => item.result), ['created', 'duplicate', 'duplicate', 'invalid']);
+    assert.equal(res.body.items[0].id, null);
+    assert.deepEqual(res.body.items[1].duplicate_of, { index: 0 });
+    assert.deepEqual(res.body.items[2].duplicate_of, { id: existing.id, slug: existing.slug });
+
+    assert.deepEqual(await titles(), before);
+  });
+});
+
+test.describe('errors', () => {
+  test('errors are problem documents, and invalid posts list every invalid field', async () => {
+    const invalid = await request(admin, 'POST', '/api/posts', { body: { title: 'Hi', content: '', tags: 'a' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.headers.get('Content-Type'), 'application/problem+json; charset=utf-8');
+    assert.deepEqual(
+      { type: invalid.body.type, title: invalid.body.title, status: invalid.body.status, code: invalid.body.code },
+      { type: 'about:blank', title: 'Bad Request', status: 400, code: 'validation_failed' }
+    );
+    assert.deepEqual(
+      invalid.body.errors.map(({ field, code }) => `${field}:${code}`),
+      ['title:too_short', 'content:required', 'tags:invalid_type']
+    );
+    assert.equal(invalid.body.detail, invalid.body.errors.map((error) => error.message).join('. '));
+
+    const missing = await request(admin, 'GET', '/api/posts/999999');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get('Content-Type'), 'application/problem+json; charset=utf-8');
+    assert.equal(missing.body.code, 'not_found');
+
+    const anonymous = await request({ url: server.url }, 'POST', '/api/posts', { body: newPost() });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'login_required');
+  });
+});
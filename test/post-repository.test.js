@@ -0,0 +1,239 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const { configureConnection } = require('../lib/db');
+const { migrateUp } = require('../lib/migrate');
+const { createSqlitePostRepository, createMemoryPostRepository } = require('../lib/repositories');
+
+// The same cases run against both PostRepository stores (see
+// lib/repositories/index.js for the interface).
+
+const ADMIN = { id: 1, username: 'admin', role: 'admin' };
+const AUTHOR = { id: 2, username: 'author', role: 'author' };
+
+const call = (fn) => new Promise((resolve, reject) => fn((err, value) => (err ? reject(err) : resolve(value))));
+
+// A fresh store: { posts, close() }
+const STORES = {
+  async memory() {
+    const posts = createMemoryPostRepository({ users: [ADMIN, AUTHOR] });
+    return { posts, close: () => posts.close() };
+  },
+
+  async sqlite() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-test-'));
+    const file = path.join(dir, 'blog.db');
+
+    const connect = (callback) => {
+      const db = new sqlite3.Database(file, (err) => {
+        if (err) return callback(err);
+        configureConnection(db, (err2) => callback(err2, err2 ? null : db));
+      });
+    };
+
+    const db = await call(connect);
+    await call((done) => migrateUp(db, {}, done));
+    for (const user of [ADMIN, AUTHOR]) {
+      await call((done) => db.run(
+        `INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, 'x', ?)`,
+        [user.id, user.username, user.role],
+        done
+      ));
+    }
+
+    const posts = createSqlitePostRepository(db, { connect });
+    return {
+      posts,
+      async close() {
+        await posts.close();
+        await call((done) => db.close(done));
+        fs.rmSync(dir, { recursive: true, force: true });
+      },
+    };
+  },
+};
+
+function newPost(overrides = {}) {
+  return {
+    title: 'Hello world',
+    content: 'Some content',
+    contentFormat: 'plain',
+    status: 'published',
+    publishAt: null,
+    tags: [],
+    ...overrides,
+  };
+}
+
+function listQuery(overrides = {}) {
+  return { limit: 10, sort: 'created_at', order: 'desc', cursor: null, filters: [], tag: null, status: null, ...overrides };
+}
+
+for (const [name, open] of Object.entries(STORES)) {
+  test.describe(`${name} post repository`, () => {
+    let store;
+    let posts;
+
+    test.beforeEach(async () => {
+      store = await open();
+      posts = store.posts;
+    });
+
+    test.afterEach(() => store.close());
+
+    test('create() returns the post with its slug, tags and author', async () => {
+      const post = await posts.create(newPost({ tags: ['web', 'api'] }), AUTHOR.id);
+
+      assert.equal(post.slug, 'hello-world');
+      assert.deepEqual(post.tags, ['api', 'web']);
+      assert.equal(post.author_username, 'author');
+      assert.equal(post.version, 1);
+      assert.equal(post.comment_count, 0);
+      assert.ok(post.published_at);
+      assert.deepEqual(await posts.findById(post.id), post);
+    });
+
+    test('create() gives each post a slug of its own', async () => {
+      const first = await posts.create(newPost({ title: 'آموزش برنامه نویسی' }), ADMIN.id);
+      const second = await posts.create(newPost({ title: 'آموزش برنامه نویسی' }), ADMIN.id);
+
+      assert.equal(first.slug, 'آموزش-برنامه-نویسی');
+      assert.equal(second.slug, 'آموزش-برنامه-نویسی-2');
+    });
+
+    test('update() bumps the version, records a revision and redirects the old slug', async () => {
+      const post = await posts.create(newPost(), AUTHOR.id);
+      const updated = await posts.update(post.id, { title: 'New title', content: 'Other content', tags: ['x'] }, ADMIN.id, null);
+
+      assert.equal(updated.version, 2);
+      assert.equal(updated.slug, 'new-title');
+      assert.deepEqual(updated.tags, ['x']);
+      assert.deepEqual(await posts.findBySlug('hello-world'), { id: post.id, slug: 'new-title' });
+
+      const revisions = await posts.listRevisions(post.id);
+      assert.deepEqual(revisions.map((revision) => revision.rev), [2, 1]);
+      assert.equal(revisions[0].author_username, 'admin');
+
+      const first = await posts.findRevision(post.id, 1);
+      assert.equal(first.title, 'Hello world');
+      assert.deepEqual(first.tags, []);
+      assert.equal(await posts.update(999, { title: 'Nope', content: 'Nothing here' }, ADMIN.id, null), null);
+    });
+
+    test('list() shows each requester what they may see, a page at a time', async () => {
+      const draft = await posts.create(newPost({ title: 'Draft post', status: 'draft', tags: ['news'] }), AUTHOR.id);
+      await posts.create(newPost({ title: 'First post', tags: ['news'] }), ADMIN.id);
+      await posts.create(newPost({ title: 'Second post' }), ADMIN.id);
+
+      const titles = async (query, user) => (await posts.list(listQuery(query), user)).posts.map((post) => post.title);
+
+      assert.deepEqual(await titles({}, null), ['Second post', 'First post']);
+      assert.deepEqual(await titles({}, AUTHOR), ['Second post', 'First post', 'Draft post']);
+      assert.deepEqual(await titles({ tag: 'news' }, ADMIN), ['First post', 'Draft post']);
+      assert.deepEqual(await titles({ status: 'draft' }, ADMIN), ['Draft post']);
+      assert.deepEqual(await titles({ sort: 'title', order: 'asc' }, ADMIN), ['Draft post', 'First post', 'Second post']);
+
+      const page = await posts.list(listQuery({ limit: 2 }), ADMIN);
+      assert.equal(page.hasMore, true);
+      const last = page.posts[1];
+      const next = await posts.list(listQuery({ limit: 2, cursor: { v: last.created_at, id: last.id } }), ADMIN);
+      assert.deepEqual(next.posts.map((post) => post.id), [draft.id]);
+      assert.equal(next.hasMore, false);
+    });
+
+    test('tagCounts() counts visible posts by prefix', async () => {
+      await posts.create(newPost({ tags: ['node', 'news'] }), ADMIN.id);
+      await posts.create(newPost({ title: 'Another', tags: ['node'] }), ADMIN.id);
+      await posts.create(newPost({ title: 'Hidden', status: 'draft', tags: ['news'] }), ADMIN.id);
+
+      assert.deepEqual(await posts.tagCounts({ prefix: 'n' }, null), [
+        { name: 'node', count: 2 },
+        { name: 'news', count: 1 },
+      ]);
+    });
+
+    test('trashed posts leave lists and duplicates, and can be restored or purged', async () => {
+      const post = await posts.create(newPost(), AUTHOR.id);
+      const other = await posts.create(newPost({ title: 'Other post' }), ADMIN.id);
+
+      assert.deepEqual(await posts.findDuplicate(newPost()), { id: post.id, slug: post.slug });
+      assert.equal(await posts.trash(post.id), true);
+      assert.equal(await posts.trash(post.id), false);
+      assert.equal(await posts.findDuplicate(newPost()), null);
+      assert.deepEqual((await posts.list(listQuery(), ADMIN)).posts.map((p) => p.id), [other.id]);
+
+      const [trashed] = await posts.listTrash(AUTHOR, 30);
+      assert.equal(trashed.id, post.id);
+      assert.ok(trashed.purge_at > trashed.deleted_at);
+
+      assert.equal((await posts.restore(post.id)).deleted_at, null);
+      await posts.trash(post.id);
+      await posts.trash(other.id);
+      assert.equal((await posts.listTrash(AUTHOR, 30)).length, 1);
+      assert.equal(await posts.purge(post.id), true);
+      assert.equal(await posts.findById(post.id), null);
+      assert.equal(await posts.emptyTrash(ADMIN), 1);
+    });
+
+    test('changes() counts writes', async () => {
+      const before = await posts.changes();
+      await posts.create(newPost(), ADMIN.id);
+      assert.ok((await posts.changes()).count > before.count);
+    });
+
+    test('transaction() commits, and undoes everything when it rejects', async () => {
+      const kept = await posts.transaction((tx) => tx.create(newPost(), ADMIN.id));
+
+      await assert.rejects(posts.transaction(async (tx) => {
+        await tx.create(newPost({ title: 'Rolled back' }), ADMIN.id);
+        await tx.trash(kept.id);
+        throw new Error('undo');
+      }), /undo/);
+
+      const { posts: listed } = await posts.list(listQuery(), ADMIN);
+      assert.deepEqual(listed.map((post) => post.title), ['Hello world']);
+    });
+
+    test('a nested transaction that rejects undoes only its own writes', async () => {
+      await posts.transaction(async (tx) => {
+        await tx.create(newPost({ title: 'Outer post' }), ADMIN.id);
+        await tx.transaction(async (inner) => {
+          await inner.create(newPost({ title: 'Inner post' }), ADMIN.id);
+          throw new Error('inner');
+        }).catch(() => {});
+      });
+
+      const { posts: listed } = await posts.list(listQuery(), ADMIN);
+      assert.deepEqual(listed.map((post) => post.title), ['Outer post']);
+    });
+
+    test('writes made outside a transaction are not undone with it', async () => {
+      const post = await posts.create(newPost(), AUTHOR.id);
+
+      let started;
+      const running = new Promise((resolve) => (started = resolve));
+      let finish;
+      const finished = new Promise((resolve) => (finish = resolve));
+
+      const failing = posts.transaction(async (tx) => {
+        await tx.create(newPost({ title: 'Rolled back' }), ADMIN.id);
+        started();
+        await finished;
+        throw new Error('undo');
+      });
+
+      await running;
+      const trashed = posts.trash(post.id);
+      finish();
+
+      await assert.rejects(failing, /undo/);
+      assert.equal(await trashed, true);
+      assert.ok((await posts.findById(post.id)).deleted_at);
+      assert.equal(await posts.findDuplicate(newPost({ title: 'Rolled back' })), null);
+    });
+  });
+}
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const { configureConnection } = require('../lib/db');
+const { migrateUp } = require('../lib/migrate');
+const {
+  createMemoryRateLimitStore,
+  createSqliteRateLimitStore,
+  resolveLimits,
+  rateLimiter,
+} = require('../lib/rate-limit');
+
+const LIMITS = {
+  'posts:create': { ip: { burst: 3, per_minute: 1 }, user: { burst: 1, per_minute: 1 } },
+};
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Resolves to the response, or null when the request was let through
+function send(limiter, req) {
+  const res = fakeResponse();
+  return new Promise((resolve) => {
+    limiter(req, res, () => resolve(null)).then(() => res.body && resolve(res));
+  });
+}
+
+test('resolveLimits merges overrides and rejects unknown names', () => {
+  const { limits } = resolveLimits(LIMITS, { 'posts:create': { user: { burst: 5 } } });
+  assert.deepEqual(limits['posts:create'].user, { burst: 5, per_minute: 1 });
+  assert.match(resolveLimits(LIMITS, { nope: {} }).error, /Unknown rate limit/);
+});
+
+test('an empty bucket answers 429 with Retry-After', async () => {
+  const limiter = rateLimiter('posts:create', LIMITS, createMemoryRateLimitStore());
+  const req = { ip: '1.1.1.1' };
+
+  for (let i = 0; i < 3; i++) assert.equal(await send(limiter, req), null);
+  const res = await send(limiter, req);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'rate_limited');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('a request refused by the user bucket does not cost its IP a token', async () => {
+  const limiter = rateLimiter('posts:create', LIMITS, createMemoryRateLimitStore());
+  const user = { id: 7 };
+
+  assert.equal(await send(limiter, { ip: '1.1.1.1', user }), null);
+  assert.equal((await send(limiter, { ip: '1.1.1.1', user })).statusCode, 429);
+  assert.equal((await send(limiter, { ip: '1.1.1.1', user })).statusCode, 429);
+
+  // two of the IP's three tokens are left for everyone else behind it
+  assert.equal(await send(limiter, { ip: '1.1.1.1' }), null);
+  assert.equal(await send(limiter, { ip: '1.1.1.1' }), null);
+  assert.equal((await send(limiter, { ip: '1.1.1.1' })).statusCode, 429);
+});
+
+test('a failing store lets requests through', async () => {
+  const store = { take: async () => { throw new Error('down'); } };
+  const limiter = rateLimiter('posts:create', LIMITS, store);
+  const write = process.stderr.write;
+  process.stderr.write = () => true;
+  try {
+    assert.equal(await send(limiter, { ip: '1.1.1.1' }), null);
+  } finally {
+    process.stderr.write = write;
+  }
+});
+
+test('SQLite stores on one database share their buckets', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-test-'));
+  const file = path.join(dir, 'blog.db');
+  const connect = () => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) return reject(err);
+      configureConnection(db, (err2) => (err2 ? reject(err2) : resolve(db)));
+    });
+  });
+
+  const first = await connect();
+  await new Promise((resolve, reject) => migrateUp(first, {}, (err) => (err ? reject(err) : resolve())));
+  const second = await connect();
+
+  try {
+    // two instances, each with its own connection
+    const limiters = [first, second].map((db) => rateLimiter('posts:create', LIMITS, createSqliteRateLimitStore(db)));
+    const req = { ip: '1.1.1.1' };
+
+    assert.equal(await send(limiters[0], req), null);
+    assert.equal(await send(limiters[1], req), null);
+    assert.equal(await send(limiters[0], req), null);
+    const res = await send(limiters[1], req);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers['Retry-After']) > 0);
+
+    const store = createSqliteRateLimitStore(first);
+    const budget = { burst: 2, perSecond: 1 };
+    assert.deepEqual(await store.take('k', budget, 0), { allowed: true, remaining: 1, retryAfter: 0, reset: 1 });
+    assert.equal((await store.take('k', budget, 0)).allowed, true);
+    assert.deepEqual(await store.take('k', budget, 500), { allowed: false, remaining: 0, retryAfter: 1, reset: 2 });
+    assert.equal((await store.take('k', budget, 1000)).allowed, true);
+  } finally {
+    await Promise.all([first, second].map((db) => new Promise((resolve) => db.close(resolve))));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePost } = require('../public/js/schema');
+
+const codes = (errors) => errors.map(({ field, code }) => `${field}:${code}`);
+
+test('validatePost accepts a complete post', () => {
+  assert.deepEqual(validatePost({ title: 'Hello', content: 'Long enough text', tags: ['a'] }), []);
+});
+
+test('validatePost turns down data that is not an object', () => {
+  for (const data of [undefined, null, 'text', 42, []]) {
+    assert.deepEqual(codes(validatePost(data)), ['null:invalid_type']);
+    assert.deepEqual(codes(validatePost(data, { partial: true })), ['null:invalid_type']);
+  }
+});
+
+test('validatePost reports every invalid field', () => {
+  const errors = validatePost({ title: 'Hi', content: '', tags: 'a', status: 'scheduled' });
+  assert.deepEqual(codes(errors), ['title:too_short', 'content:required', 'tags:invalid_type', 'publish_at:required']);
+});
+
+test('validatePost only checks the fields present when partial', () => {
+  assert.deepEqual(validatePost({ tags: ['x'] }, { partial: true }), []);
+  assert.deepEqual(codes(validatePost({ title: null }, { partial: true })), ['title:required']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, pickUniqueSlug, isSlugFor } = require('../lib/slug');
+
+test('slugify drops accents from Latin letters', () => {
+  assert.equal(slugify('Héllo, Wörld!'), 'hello-world');
+  assert.equal(slugify('Crème brûlée à la carte'), 'creme-brulee-a-la-carte');
+  assert.equal(slugify('ﬁne Ｔｕｎｉｎｇ'), 'fine-tuning');
+});
+
+test('slugify keeps Persian titles as written', () => {
+  assert.equal(slugify('آموزش برنامه نویسی'), 'آموزش-برنامه-نویسی');
+  assert.equal(slugify('مسئله'), 'مسئله');
+  assert.equal(slugify('  رؤیا و آرزو؟ '), 'رؤیا-و-آرزو');
+  assert.equal(slugify('سال ۱۴۰۳'), 'سال-۱۴۰۳');
+});
+
+test('slugify composes Persian letters written decomposed', () => {
+  // alef + madda above, yeh + hamza above
+  assert.equal(slugify('\u0627\u0653موزش \u064a\u0654'), '\u0622موزش-\u0626');
+});
+
+test('slugify mixes scripts', () => {
+  assert.equal(slugify('Node.js در عمل'), 'node-js-در-عمل');
+});
+
+test('slugify falls back for titles without letters or digits', () => {
+  assert.equal(slugify('!!!'), 'post');
+  assert.equal(slugify(''), 'post');
+  assert.equal(slugify('2024'), 'post-2024');
+});
+
+test('slugify stops at 80 characters without a trailing hyphen', () => {
+  const slug = slugify(`${'a'.repeat(79)} b`);
+  assert.equal(slug, 'a'.repeat(79));
+});
+
+test('pickUniqueSlug numbers taken slugs', () => {
+  assert.equal(pickUniqueSlug('مسئله', []), 'مسئله');
+  assert.equal(pickUniqueSlug('مسئله', ['مسئله', 'مسئله-2']), 'مسئله-3');
+});
+
+test('isSlugFor accepts the base and its numbered variants', () => {
+  assert.ok(isSlugFor('آموزش-برنامه-نویسی-2', 'آموزش-برنامه-نویسی'));
+  assert.ok(!isSlugFor('ا-موزش-برنامه-نویسی', 'آموزش-برنامه-نویسی'));
+});